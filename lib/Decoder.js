@@ -1,5 +1,94 @@
-/** @type {Record<string, string>} */
-const reference = {
+import { ErrorCode } from './ParseError.js';
+import Trie from './Trie.js';
+
+/** Named references allowed to go without a semicolon, for legacy's sake. @type {Set<string>} */
+const legacyNames = new Set([
+    'AElig', 'AMP', 'Aacute', 'Acirc', 'Agrave', 'Aring', 'Atilde', 'Auml',
+    'COPY', 'Ccedil',
+    'ETH', 'Eacute', 'Ecirc', 'Egrave', 'Euml',
+    'GT',
+    'Iacute', 'Icirc', 'Igrave', 'Iuml',
+    'LT',
+    'Ntilde',
+    'Oacute', 'Ocirc', 'Ograve', 'Oslash', 'Otilde', 'Ouml',
+    'QUOT',
+    'REG',
+    'THORN',
+    'Uacute', 'Ucirc', 'Ugrave', 'Uuml',
+    'Yacute',
+    'aacute', 'acirc', 'acute', 'aelig', 'agrave', 'amp', 'aring', 'atilde', 'auml',
+    'brvbar',
+    'ccedil', 'cedil', 'cent', 'copy', 'curren',
+    'deg', 'divide',
+    'eacute', 'ecirc', 'egrave', 'eth', 'euml',
+    'frac12', 'frac14', 'frac34',
+    'gt',
+    'iacute', 'icirc', 'iexcl', 'igrave', 'iquest', 'iuml',
+    'laquo', 'lt',
+    'macr', 'micro', 'middot',
+    'nbsp', 'not', 'ntilde',
+    'oacute', 'ocirc', 'ograve', 'ordf', 'ordm', 'oslash', 'otilde', 'ouml',
+    'para', 'plusmn', 'pound',
+    'quot',
+    'raquo', 'reg',
+    'sect', 'shy', 'sup1', 'sup2', 'sup3', 'szlig',
+    'thorn', 'times',
+    'uacute', 'ucirc', 'ugrave', 'uml', 'uuml',
+    'yacute', 'yen', 'yuml',
+]);
+
+/** Node value flag, set on references allowed to go without a semicolon. @type {number} */
+const LEGACY = 0x8000;
+
+/**
+ * Named references trie, packed into typed arrays.
+ * Nodes are numbered breadth-first from the root at 0, so that label `i` leads to node `i + 1`.
+ * 
+ * @typedef PackedTrie
+ * @property {Uint16Array} branches Node `n` branches out through labels `branches[n]` to `branches[n + 1]`, sorted.
+ * @property {Uint8Array} labels Name character codes.
+ * @property {Uint16Array} values Characters index of the reference ending on a node, 0 if none, flagged if legacy.
+ * @property {string[]} characters
+ */
+
+/**
+ * Compile named references into a packed trie, the table being dropped afterwards.
+ * 
+ * @param {Record<string, string>} table 
+ * @returns {PackedTrie}
+ */
+function compile(table) {
+    const characters = [''];
+    /** @type {Trie<number>} */
+    const trie = new Trie();
+
+    for (const name in table) {
+        trie.set(name, characters.length | (legacyNames.has(name) ? LEGACY : 0));
+        characters.push(table[name]);
+    }
+
+    const queue = [trie.root];
+    const branches = [];
+    const labels = [];
+    const values = [];
+
+    for (let i = 0; i < queue.length; ++i) {
+        const { children, value } = queue[i];
+        branches.push(labels.length);
+        values.push(value ?? 0);
+
+        for (const char of [...children.keys()].sort((a, b) => a - b)) {
+            labels.push(char);
+            queue.push(children.get(char));
+        }
+    }
+
+    branches.push(labels.length);
+    return { branches: Uint16Array.from(branches), labels: Uint8Array.from(labels), values: Uint16Array.from(values), characters };
+}
+
+/** Named references, by name without the semicolon, only kept packed. */
+const { branches, labels, values, characters } = compile({
     "AElig": "Æ",
     "AMP": "&",
     "Aacute": "Á",
@@ -108,7 +197,7 @@ const reference = {
     "DownArrowUpArrow": "⇵",
     "DownBreve": "̑",
     "DownLeftRightVector": "⥐",
-    "DownLeftTTeeVector": "⥞",
+    "DownLeftTeeVector": "⥞",
     "DownLeftVector": "↽",
     "DownLeftVectorBar": "⥖",
     "DownRightTeeVector": "⥟",
@@ -303,11 +392,11 @@ const reference = {
     "NegativeThinSpace": "​",
     "NegativeVeryThinSpace": "​",
     "NestedGreaterGreater": "≫",
-    "NestedLes   ssLess": "≪",
+    "NestedLessLess": "≪",
     "NewLine": "\n",
     "Nfr": "𝔑",
     "NoBreak": "⁠",
-    "NonBreakingSpace": " ",
+    "NonBreakingSpace": "\u00A0",
     "Nopf": "ℕ",
     "Not": "⫬",
     "NotCongruent": "≢",
@@ -326,7 +415,7 @@ const reference = {
     "NotGreaterTilde": "≵",
     "NotHumpDownHump": "≎̸",
     "NotHumpEqual": "≏̸",
-    "N    NotLeftTriangle": "⋪",
+    "NotLeftTriangle": "⋪",
     "NotLeftTriangleBar": "⧏̸",
     "NotLeftTriangleEqual": "⋬",
     "NotLess": "≮",
@@ -339,25 +428,25 @@ const reference = {
     "NotNestedLessLess": "⪡̸",
     "NotPrecedes": "⊀",
     "NotPrecedesEqual": "⪯̸",
-    "No   otPrecedesSlantEqual": "⋠",
+    "NotPrecedesSlantEqual": "⋠",
     "NotReverseElement": "∌",
     "NotRightTriangle": "⋫",
     "NotRightTriangleBar": "⧐̸",
     "NotRightTriangleEqual": "⋭",
-    "NotSquareSubset": "⊏⊏̸",
+    "NotSquareSubset": "⊏̸",
     "NotSquareSubsetEqual": "⋢",
     "NotSquareSuperset": "⊐̸",
     "NotSquareSupersetEqual": "⋣",
     "NotSubset": "⊂⃒",
     "NotSubsetEqual": "⊈",
     "NotSucceeds": "⊁",
-    "NotS  SucceedsEqual": "⪰̸",
+    "NotSucceedsEqual": "⪰̸",
     "NotSucceedsSlantEqual": "⋡",
     "NotSucceedsTilde": "≿̸",
     "NotSuperset": "⊃⃒",
     "NotSupersetEqual": "⊉",
     "NotTilde": "≁",
-    "NotTildeEqual": "≄  ≄",
+    "NotTildeEqual": "≄",
     "NotTildeFullEqual": "≇",
     "NotTildeTilde": "≉",
     "NotVerticalBar": "∤",
@@ -475,7 +564,7 @@ const reference = {
     "Square": "□",
     "SquareIntersection": "⊓",
     "SquareSubset": "⊏",
-    " SquareSubsetEqual": "⊑",
+    "SquareSubsetEqual": "⊑",
     "SquareSuperset": "⊐",
     "SquareSupersetEqual": "⊒",
     "SquareUnion": "⊔",
@@ -794,7 +883,7 @@ const reference = {
     "cemptyv": "⦲",
     "cent": "¢",
     "centerdot": "·",
-    "cfr": "�",
+    "cfr": "𝔠",
     "chcy": "ч",
     "check": "✓",
     "checkmark": "✓",
@@ -1055,10 +1144,10 @@ const reference = {
     "gg": "≫",
     "ggg": "⋙",
     "gimel": "ℷ",
-    "gjc y": "ѓ",
+    "gjcy": "ѓ",
     "gl": "≷",
     "glE": "⪒",
-    "glla": "⪥",
+    "gla": "⪥",
     "glj": "⪤",
     "gnE": "≩",
     "gnap": "⪊",
@@ -1092,7 +1181,7 @@ const reference = {
     "hairsp": " ",
     "half": "½",
     "hamilt": "ℋ",
-    "har rdcy": "ъ",
+    "hardcy": "ъ",
     "harr": "↔",
     "harrcir": "⥈",
     "harrw": "↭",
@@ -1217,7 +1306,7 @@ const reference = {
     "lbbrk": "❲",
     "lbrace": "{",
     "lbrack": "[",
-    "lbrkke": "⦋",
+    "lbrke": "⦋",
     "lbrksld": "⦏",
     "lbrkslu": "⦍",
     "lcaron": "ľ",
@@ -1343,7 +1432,7 @@ const reference = {
     "maltese": "✠",
     "map": "↦",
     "mapsto": "↦",
-    "map pstodown": "↧",
+    "mapstodown": "↧",
     "mapstoleft": "↤",
     "mapstoup": "↥",
     "marker": "▮",
@@ -1395,7 +1484,7 @@ const reference = {
     "natur": "♮",
     "natural": "♮",
     "naturals": "ℕ",
-    "nbsp": " ",
+    "nbsp": "\u00A0",
     "nbump": "≎̸",
     "nbumpe": "≏̸",
     "ncap": "⩃",
@@ -1444,7 +1533,7 @@ const reference = {
     "nleftrightarrow": "↮",
     "nleq": "≰",
     "nleqq": "≦̸",
-    " &nleqslant": "⩽̸",
+    "nleqslant": "⩽̸",
     "nles": "⩽̸",
     "nless": "≮",
     "nlsim": "≴",
@@ -1465,7 +1554,7 @@ const reference = {
     "notnivb": "⋾",
     "notnivc": "⋽",
     "npar": "∦",
-    "nparallel": "∦ ∦",
+    "nparallel": "∦",
     "nparsl": "⫽⃥",
     "npart": "∂̸",
     "npolint": "⨔",
@@ -1476,7 +1565,7 @@ const reference = {
     "npreceq": "⪯̸",
     "nrArr": "⇏",
     "nrarr": "↛",
-    "nrarrc": "⤳̸    ",
+    "nrarrc": "⤳̸",
     "nrarrw": "↝̸",
     "nrightarrow": "↛",
     "nrtri": "⋫",
@@ -1507,7 +1596,7 @@ const reference = {
     "nsupe": "⊉",
     "nsupset": "⊃⃒",
     "nsupseteq": "⊉",
-    "nsupseteqq": "⫆   ⫆̸",
+    "nsupseteqq": "⫆̸",
     "ntgl": "≹",
     "ntilde": "ñ",
     "ntlg": "≸",
@@ -1539,7 +1628,7 @@ const reference = {
     "nwarrow": "↖",
     "nwnear": "⤧",
     "oS": "Ⓢ",
-    "&oacute": "ó",
+    "oacute": "ó",
     "oast": "⊛",
     "ocir": "⊚",
     "ocirc": "ô",
@@ -1676,7 +1765,7 @@ const reference = {
     "racute": "ŕ",
     "radic": "√",
     "raemptyv": "⦳",
-    "raang": "⟩",
+    "rang": "⟩",
     "rangd": "⦒",
     "range": "⦥",
     "rangle": "⟩",
@@ -1850,7 +1939,7 @@ const reference = {
     "sqsupset": "⊐",
     "sqsupseteq": "⊒",
     "squ": "□",
-    "squarre": "□",
+    "square": "□",
     "squarf": "▪",
     "squf": "▪",
     "srarr": "→",
@@ -2048,7 +2137,7 @@ const reference = {
     "vcy": "в",
     "vdash": "⊢",
     "vee": "∨",
-    "veeba  ar": "⊻",
+    "veebar": "⊻",
     "veeeq": "≚",
     "vellip": "⋮",
     "verbar": "|",
@@ -2125,20 +2214,158 @@ const reference = {
     "zscr": "𝓏",
     "zwj": "‍",
     "zwnj": "‌"
+});
+
+/** Named references trie root node. @type {number} */
+export const ROOT = 0;
+
+/**
+ * Walk the named references trie one character further.
+ * 
+ * @param {number} node 
+ * @param {number} char 
+ * @returns {number} Child node, negative if no reference goes on with the character.
+ */
+export function step(node, char) {
+    let low = branches[node];
+    let high = branches[node + 1] - 1;
+
+    while (low <= high) {
+        const middle = (low + high) >>> 1;
+        const label = labels[middle];
+
+        if (label === char) return middle + 1;
+        if (label < char) low = middle + 1;
+        else high = middle - 1;
+    }
+
+    return -1;
+}
+
+/**
+ * Whether a named reference ends on a node.
+ * 
+ * @param {number} node 
+ * @returns {boolean}
+ */
+export function terminal(node) {
+    return values[node] !== 0;
+}
+
+/**
+ * Whether a named reference allowed to go without a semicolon ends on a node.
+ * 
+ * @param {number} node 
+ * @returns {boolean}
+ */
+export function legacy(node) {
+    return (values[node] & LEGACY) !== 0;
 }
 
 /**
+ * Characters a named reference ending on a node stands for.
  * 
+ * @param {number} node 
+ * @returns {string}
+ */
+export function characterOf(node) {
+    return characters[values[node] & ~LEGACY];
+}
+
+/** Windows-1252 characters numeric references to C1 controls stand for. @type {Map<number, number>} */
+const c1 = new Map([
+    [0x80, 0x20AC], [0x82, 0x201A], [0x83, 0x0192], [0x84, 0x201E], [0x85, 0x2026], [0x86, 0x2020], [0x87, 0x2021],
+    [0x88, 0x02C6], [0x89, 0x2030], [0x8A, 0x0160], [0x8B, 0x2039], [0x8C, 0x0152], [0x8E, 0x017D],
+    [0x91, 0x2018], [0x92, 0x2019], [0x93, 0x201C], [0x94, 0x201D], [0x95, 0x2022], [0x96, 0x2013], [0x97, 0x2014],
+    [0x98, 0x02DC], [0x99, 0x2122], [0x9A, 0x0161], [0x9B, 0x203A], [0x9C, 0x0153], [0x9E, 0x017E], [0x9F, 0x0178],
+]);
+
+/** Numeric reference, hexadecimal or decimal, digits possibly absent. @type {RegExp} */
+const Numeric = /^#(?:[xX]([\da-fA-F]*)|(\d*))$/;
+
+/** Stands for null, surrogate and out of range code points. @type {string} */
+const REPLACEMENT_CHARACTER = '\uFFFD';
+
+/**
+ * 
+ * 
+ * @param {number} code 
+ * @returns {boolean}
+ */
+function isNoncharacter(code) {
+    return code >= 0xFDD0 && code <= 0xFDEF || (code & 0xFFFE) === 0xFFFE;
+}
+
+/**
+ * Controls a numeric reference shouldn't stand for, carriage return included.
+ * 
+ * @param {number} code 
+ * @returns {boolean}
+ */
+function isControl(code) {
+    return code < 0x20 && code !== 0x09 && code !== 0x0A && code !== 0x0C || code >= 0x7F && code <= 0x9F;
+}
+
+/**
+ * Decode a numeric reference the way the numeric character reference end state does.
+ * 
+ * @param {string} entity 
+ * @param {(code: ErrorCode) => any} [onError] 
+ * @returns {string | undefined} Undefined if it isn't made of digits.
+ */
+function numeric(entity, onError) {
+    const match = Numeric.exec(entity);
+    if (!match) return;
+
+    const [, hexadecimal, decimal] = match;
+    //: &#; &#x;
+    if (!(hexadecimal ?? decimal)) {
+        onError?.(ErrorCode.ABSENCE_OF_DIGITS_IN_NUMERIC_CHARACTER_REFERENCE);
+        return;
+    }
+
+    let code = hexadecimal === undefined ? parseInt(decimal, 10) : parseInt(hexadecimal, 16);
+
+    if (code === 0) {
+        onError?.(ErrorCode.NULL_CHARACTER_REFERENCE);
+        return REPLACEMENT_CHARACTER;
+    }
+
+    if (code > 0x10FFFF) {
+        onError?.(ErrorCode.CHARACTER_REFERENCE_OUTSIDE_UNICODE_RANGE);
+        return REPLACEMENT_CHARACTER;
+    }
+
+    if (code >= 0xD800 && code <= 0xDFFF) {
+        onError?.(ErrorCode.SURROGATE_CHARACTER_REFERENCE);
+        return REPLACEMENT_CHARACTER;
+    }
+
+    if (isNoncharacter(code)) {
+        onError?.(ErrorCode.NONCHARACTER_CHARACTER_REFERENCE);
+
+    } else if (isControl(code)) {
+        onError?.(ErrorCode.CONTROL_CHARACTER_REFERENCE);
+        code = c1.get(code) ?? code;
+    }
+
+    return String.fromCodePoint(code);
+}
+
+/**
+ * Decode a character reference, named or numeric, without its ampersand and semicolon.
  * 
  * @param {string} entity 
- * @returns {string | undefined}
+ * @param {(code: ErrorCode) => any} [onError] Numeric reference anomalies receiver.
+ * @returns {string | undefined} Undefined if unknown.
  */
-export default function decode(entity) {
+export default function decode(entity, onError) {
     if (entity.charCodeAt(0) === 0x23) {
-        const unicode = (entity.charCodeAt(1) | 0x20) === 0x78 ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1))
-        return unicode > 65535 ? undefined : String.fromCodePoint(unicode);
+        return numeric(entity, onError);
         
     } else {
-        return reference[entity];
+        let node = ROOT;
+        for (let i = 0; node >= 0 && i < entity.length; ++i) node = step(node, entity.charCodeAt(i));
+        return node >= 0 && terminal(node) ? characterOf(node) : undefined;
     }
 }
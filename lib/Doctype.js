@@ -0,0 +1,116 @@
+/** Document compatibility modes. @enum {string} */
+export const Mode = Object.freeze({
+    NO_QUIRKS: 'no-quirks',
+    LIMITED_QUIRKS: 'limited-quirks',
+    QUIRKS: 'quirks',
+});
+
+/**
+ * @typedef DoctypeToken
+ * @property {string | null} name Lowercase, null if missing.
+ * @property {string | null} publicId Null if missing.
+ * @property {string | null} systemId Null if missing.
+ * @property {boolean} forceQuirks
+ */
+
+/** Public identifiers setting quirks mode, lowercase. @type {Set<string>} */
+const quirkyPublicIds = new Set([
+    '-//w3o//dtd w3 html strict 3.0//en//',
+    '-/w3c/dtd html 4.0 transitional/en',
+    'html',
+]);
+
+/** Public identifier prefixes setting quirks mode, lowercase. @type {string[]} */
+const quirkyPublicPrefixes = [
+    '+//silmaril//dtd html pro v0r11 19970101//',
+    '-//as//dtd html 3.0 aswedit + extensions//',
+    '-//advasoft ltd//dtd html 3.0 aswedit + extensions//',
+    '-//ietf//dtd html 2.0 level 1//',
+    '-//ietf//dtd html 2.0 level 2//',
+    '-//ietf//dtd html 2.0 strict level 1//',
+    '-//ietf//dtd html 2.0 strict level 2//',
+    '-//ietf//dtd html 2.0 strict//',
+    '-//ietf//dtd html 2.0//',
+    '-//ietf//dtd html 2.1e//',
+    '-//ietf//dtd html 3.0//',
+    '-//ietf//dtd html 3.2 final//',
+    '-//ietf//dtd html 3.2//',
+    '-//ietf//dtd html 3//',
+    '-//ietf//dtd html level 0//',
+    '-//ietf//dtd html level 1//',
+    '-//ietf//dtd html level 2//',
+    '-//ietf//dtd html level 3//',
+    '-//ietf//dtd html strict level 0//',
+    '-//ietf//dtd html strict level 1//',
+    '-//ietf//dtd html strict level 2//',
+    '-//ietf//dtd html strict level 3//',
+    '-//ietf//dtd html strict//',
+    '-//ietf//dtd html//',
+    '-//metrius//dtd metrius presentational//',
+    '-//microsoft//dtd internet explorer 2.0 html strict//',
+    '-//microsoft//dtd internet explorer 2.0 html//',
+    '-//microsoft//dtd internet explorer 2.0 tables//',
+    '-//microsoft//dtd internet explorer 3.0 html strict//',
+    '-//microsoft//dtd internet explorer 3.0 html//',
+    '-//microsoft//dtd internet explorer 3.0 tables//',
+    '-//netscape comm. corp.//dtd html//',
+    '-//netscape comm. corp.//dtd strict html//',
+    "-//o'reilly and associates//dtd html 2.0//",
+    "-//o'reilly and associates//dtd html extended 1.0//",
+    "-//o'reilly and associates//dtd html extended relaxed 1.0//",
+    '-//sq//dtd html 2.0 hotmetal + extensions//',
+    '-//softquad software//dtd hotmetal pro 6.0::19990601::extensions to html 4.0//',
+    '-//softquad//dtd hotmetal pro 4.0::19970916::extensions to html 4.0//',
+    '-//spyglass//dtd html 2.0 extended//',
+    '-//sun microsystems corp.//dtd hotjava html//',
+    '-//sun microsystems corp.//dtd hotjava strict html//',
+    '-//w3c//dtd html 3 1995-03-24//',
+    '-//w3c//dtd html 3.2 draft//',
+    '-//w3c//dtd html 3.2 final//',
+    '-//w3c//dtd html 3.2//',
+    '-//w3c//dtd html 3.2s draft//',
+    '-//w3c//dtd html 4.0 frameset//',
+    '-//w3c//dtd html 4.0 transitional//',
+    '-//w3c//dtd html experimental 19960712//',
+    '-//w3c//dtd html experimental 970421//',
+    '-//w3c//dtd w3 html//',
+    '-//w3o//dtd w3 html 3.0//',
+    '-//webtechs//dtd mozilla html 2.0//',
+    '-//webtechs//dtd mozilla html//',
+];
+
+/** Public identifier prefixes setting limited-quirks mode, lowercase. @type {string[]} */
+const limitedQuirkyPublicPrefixes = [
+    '-//w3c//dtd xhtml 1.0 frameset//',
+    '-//w3c//dtd xhtml 1.0 transitional//',
+];
+
+/** Public identifier prefixes setting quirks mode without a system identifier, limited-quirks mode with one, lowercase. @type {string[]} */
+const transitionalPublicPrefixes = [
+    '-//w3c//dtd html 4.01 frameset//',
+    '-//w3c//dtd html 4.01 transitional//',
+];
+
+/** System identifier setting quirks mode, lowercase. @type {string} */
+const QUIRKY_SYSTEM_ID = 'http://www.ibm.com/data/dtd/v11/ibmxhtml1-transitional.dtd';
+
+/**
+ * Compatibility mode a doctype sets, per its name and identifiers.
+ *
+ * @param {DoctypeToken} doctype
+ * @returns {Mode}
+ */
+export function quirks({ name, publicId, systemId, forceQuirks }) {
+    if (forceQuirks || name !== 'html') return Mode.QUIRKS;
+
+    const publicKey = publicId?.toLowerCase();
+    const systemKey = systemId?.toLowerCase();
+
+    if (systemKey === QUIRKY_SYSTEM_ID) return Mode.QUIRKS;
+    if (publicKey === undefined) return Mode.NO_QUIRKS;
+    if (quirkyPublicIds.has(publicKey) || quirkyPublicPrefixes.some(prefix => publicKey.startsWith(prefix))) return Mode.QUIRKS;
+    if (limitedQuirkyPublicPrefixes.some(prefix => publicKey.startsWith(prefix))) return Mode.LIMITED_QUIRKS;
+    if (transitionalPublicPrefixes.some(prefix => publicKey.startsWith(prefix))) return systemId === null ? Mode.QUIRKS : Mode.LIMITED_QUIRKS;
+
+    return Mode.NO_QUIRKS;
+}
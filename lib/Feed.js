@@ -0,0 +1,102 @@
+import { createLexer } from './index.js';
+import Handler from './Handler.js';
+
+/**
+ * @typedef FeedOptions
+ * @property {boolean} [strict] Fail on the first parse error.
+ */
+
+/**
+ * Handler callback, relayed as a plain object.
+ * 
+ * @typedef HandlerEvent
+ * @property {string} type Callback name without its prefix (e.g. startTag for onStartTag).
+ * @property {any[]} args
+ */
+
+/** Handler callbacks that aren't relayed as events. @type {Set<string>} */
+const Silent = new Set(['onReset', 'onEnd']);
+
+/**
+ * Wrap a handler so its callbacks are also emitted as events.
+ * 
+ * @template {object} H
+ * @param {H} handler 
+ * @param {(event: HandlerEvent) => any} emit 
+ * @returns {H}
+ */
+export function relay(handler, emit) {
+    return new Proxy(handler, {
+        get(target, property) {
+            const value = target[property];
+            if (typeof value !== 'function' || typeof property !== 'string' || !property.startsWith('on') || Silent.has(property)) return value;
+
+            const type = property.charAt(2).toLowerCase() + property.slice(3);
+            return function (...args) {
+                emit({ type, args });
+                return value.apply(target, args);
+            };
+        },
+    });
+}
+
+/**
+ * Chunk-by-chunk parsing session shared by the stream adapters.
+ * Takes string and byte chunks alike.
+ */
+export default class Feed {
+    /** @protected @type {import('./Lexer.js').default} */
+    lexer;
+    /** First parse error, kept in strict mode. @protected @type {import('./ParseError.js').default | null} */
+    failure;
+
+    /**
+     * @param {import('./index.js').Options & FeedOptions} [options = {}] 
+     * @param {(event: HandlerEvent) => any} [emit] Handler events receiver.
+     */
+    constructor(options = {}, emit) {
+        const { strict = false, onError } = options;
+        this.failure = null;
+
+        options = {
+            ...options,
+            onError: error => {
+                onError?.(error);
+                if (strict) this.failure ??= error;
+            },
+        };
+
+        const handler = new Handler(options);
+        this.lexer = createLexer(options, emit ? relay(handler, emit) : handler);
+    }
+
+    /**
+     * 
+     * 
+     * @param {string | Uint8Array} chunk 
+     */
+    write(chunk) {
+        this.lexer.write(chunk);
+        this.check();
+    }
+
+    /**
+     * 
+     * 
+     * @returns {import('./Handler.js').Tag} Document node.
+     */
+    end() {
+        const document = this.lexer.end();
+        this.check();
+        return document;
+    }
+
+    /**
+     * Throw the pending parse error, if any.
+     * 
+     * @protected
+     */
+    check() {
+        if (this.failure) throw this.failure;
+    }
+}
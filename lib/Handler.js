@@ -4,6 +4,8 @@ export const Element = Object.freeze({
     TAG: 'tag',
     /** Root(s) holder. */
     DOCUMENT: 'document',
+    /** <!--[if ...]> ... <![endif]--> */
+    CONDITIONAL: 'conditional',
 });
 
 /** SkeleDOM's data types. @enum {string} */
@@ -18,8 +20,26 @@ export const Data = Object.freeze({
     DOCTYPE: 'doctype',
     /** <? ... ?> */
     DIRECTIVE: 'directive',
+    /** {{ ... }} */
+    TEMPLATE: 'template',
 });
 
+/**
+ * @typedef HandlerOptions
+ * @property {(error: import('./ParseError.js').default) => any} [onError] Parse errors receiver.
+ * @property {boolean} [errors] Collect parse errors on the document's errors list.
+ * @property {boolean} [xml] Keep multi-valued attributes as is.
+ */
+
+/**
+ * Data node as written, in lossless mode.
+ * 
+ * @typedef RawData
+ * @property {string} source
+ * @property {string} value As parsed, to tell edits.
+ * @property {string} [target] As parsed, for directives.
+ */
+
 /**
  * Multi-valued attributes membership checker. @type {Set<string>} */
 const Group = new Set([
@@ -56,6 +76,8 @@ export class Node {
     previousSibling;
     /** Sibling on the right. @type {Node | undefined} */
     nextSibling;
+    /** Source span, when tracked. @type {import('./Locator.js').Span | import('./Parser.js').TagLocation | undefined} */
+    location;
 
     /**
      * Set navigational information.
@@ -65,7 +87,7 @@ export class Node {
      */
     link(parent, previous) {
         (this.parent = parent).children.push(this);
-        (this.previousSibling = this.parent.children.at(-2))?.nextSibling = this;
+        if (this.previousSibling = this.parent.children.at(-2)) this.previousSibling.nextSibling = this;
         (this.previous = previous).next = this;
     }
 }
@@ -76,20 +98,24 @@ export class Node {
 export class Tag extends Node {
     /** @type {string} */
     name;
-    /** @type {Record<string, string | Set<string>>} */
+    /** In source order. @type {Map<string, string | string[] | Set<string>>} */
     attributes;
     /** @type {Node[]} */
     children;
     /** @type {Node} */
     tail;
+    /** Written with a trailing solidus. @type {boolean | undefined} */
+    selfClosing;
+    /** Source spelling, in lossless mode. @type {import('./Parser.js').RawTag | undefined} */
+    raw;
 
     /**
      * @param {string} name
-     * @param {Record<string, string | Set<string>>} [attributes = {}] 
+     * @param {Map<string, string | string[] | Set<string>>} [attributes = new Map()] 
      * @param {Node[]} [children = []] 
      * @param {Element} [type=Element.TAG]
      */
-    constructor(name, attributes = {}, children = [], type = Element.TAG) {
+    constructor(name, attributes = new Map(), children = [], type = Element.TAG) {
         super();
         this.name = name;
         this.attributes = attributes;
@@ -115,6 +141,8 @@ export class Tag extends Node {
 export class Text extends Node {
     /** @type {string} */
     value;
+    /** Source spelling, in lossless mode. @type {RawData | undefined} */
+    raw;
 
     /**
      * @param {string} [value = ''] 
@@ -127,7 +155,122 @@ export class Text extends Node {
     }
 }
 
+/**
+ * Processing instruction.
+ */
+export class Directive extends Text {
+    /** @type {string} */
+    target;
+    /** Pseudo-attributes, if the data is made of them. @type {Map<string, string> | null} */
+    attributes;
+
+    /**
+     * @param {string} target 
+     * @param {string} [value = ''] Data.
+     * @param {Map<string, string> | null} [attributes = null] 
+     */
+    constructor(target, value = '', attributes = null) {
+        super(value, Data.DIRECTIVE);
+        this.target = target;
+        this.attributes = attributes;
+    }
+
+    /**
+     * Data, as written after the target.
+     * 
+     * @type {string}
+     */
+    get data() {
+        return this.value;
+    }
+
+    set data(data) {
+        this.value = data;
+    }
+}
+
+/**
+ * Document type declaration, in HTML.
+ */
+export class Doctype extends Text {
+    /** Lowercase, null if missing. @type {string | null} */
+    name;
+    /** @type {string | null} */
+    publicId;
+    /** @type {string | null} */
+    systemId;
+    /** @type {boolean} */
+    forceQuirks;
+
+    /**
+     * @param {string} [value = ''] Declaration as written, keyword included.
+     * @param {Partial<import('./Doctype.js').DoctypeToken>} [token = {}] 
+     */
+    constructor(value = '', { name = null, publicId = null, systemId = null, forceQuirks = false } = {}) {
+        super(value, Data.DOCTYPE);
+        this.name = name;
+        this.publicId = publicId;
+        this.systemId = systemId;
+        this.forceQuirks = forceQuirks;
+    }
+}
+
+/**
+ * Template syntax, kept opaque.
+ */
+export class Template extends Text {
+    /** Opening delimiter. @type {string} */
+    open;
+    /** Closing delimiter, empty if unterminated. @type {string} */
+    close;
+
+    /**
+     * @param {string} open 
+     * @param {string} [value = ''] 
+     * @param {string} [close = ''] 
+     */
+    constructor(open, value = '', close = '') {
+        super(value, Data.TEMPLATE);
+        this.open = open;
+        this.close = close;
+    }
+}
+
+/**
+ * IE conditional comment, holding the markup it reveals, or hides once parsed.
+ */
+export class Conditional extends Tag {
+    /** Condition expression, e.g. `gte IE 9`. @type {string} */
+    condition;
+    /** Downlevel-revealed, its content showing in other browsers. @type {boolean} */
+    revealed;
+    /** Opening comment as written, condition included. @type {string} */
+    open;
+    /** Closing comment as written, empty if unterminated. @type {string} */
+    close;
+    /** Hidden markup kept opaque, in place of children. @type {string | null} */
+    markup;
+
+    /**
+     * @param {string} condition 
+     * @param {boolean} [revealed = false] 
+     * @param {string | null} [markup = null] 
+     * @param {string} [open] Written out of the condition by default.
+     * @param {string} [close] 
+     */
+    constructor(condition, revealed = false, markup = null, open = revealed ? `<!--[if ${condition}]><!-->` : `<!--[if ${condition}]>`, close = revealed ? '<!--<![endif]-->' : '<![endif]-->') {
+        super(undefined, undefined, undefined, Element.CONDITIONAL);
+        this.condition = condition;
+        this.revealed = revealed;
+        this.markup = markup;
+        this.open = open;
+        this.close = close;
+    }
+}
+
 export default class Handler {
+    /** @protected @type {HandlerOptions} */
+    options;
     /** Root node. @protected @type {Tag} */
     document;
     /** Open tags memory stack to track parent-child relationships. @protected @type {Tag[]} */
@@ -136,9 +279,11 @@ export default class Handler {
     previous;
     
     /**
+     * @param {HandlerOptions} [options = {}] 
      * @param {boolean} [reset = true] 
      */
-    constructor(reset = true) {
+    constructor(options = {}, reset = true) {
+        this.options = options;
         if (reset) this.onReset();
     }
 
@@ -147,6 +292,36 @@ export default class Handler {
      */
     onReset() {
         this.ancestry = [this.document = this.previous = new Tag(undefined, undefined, undefined, Element.DOCUMENT)];
+        if (this.options.errors) this.document.errors = [];
+    }
+
+    /**
+     * Byte input's encoding, kept on the document.
+     * 
+     * @param {string} encoding 
+     * @param {import('./Sniffer.js').Confidence} confidence 
+     */
+    onEncoding(encoding, confidence) {
+        this.document.encoding = { name: encoding, confidence };
+    }
+
+    /**
+     * Document compatibility mode, kept on the document.
+     * 
+     * @param {import('./Doctype.js').Mode} mode 
+     */
+    onMode(mode) {
+        this.document.mode = mode;
+    }
+
+    /**
+     * 
+     * 
+     * @param {import('./ParseError.js').default} error 
+     */
+    onError(error) {
+        this.options.onError?.(error);
+        this.document.errors?.push(error);
     }
 
     /**
@@ -161,32 +336,53 @@ export default class Handler {
      * 
      * 
      * @param {string} name 
-     * @param {Record<string, string>} attributes 
-     * @param {boolean} selfClosing 
+     * @param {import('./Parser.js').Attributes} attributes 
+     * @param {boolean} empty Bears no children, being void or self-closed.
+     * @param {import('./Parser.js').TagLocation} [location] 
+     * @param {import('./Parser.js').RawTag} [source] 
+     * @param {boolean} [selfClosing] Written with a trailing solidus.
      */
-    onStartTag(name, attributes, selfClosing) {
-        for (const attribute in attributes) if (Group.has(attribute)) attributes[attribute] = new Set(attributes[attribute].trim().split(Whitespace));
+    onStartTag(name, attributes, empty, location, source, selfClosing) {
+        if (!this.options.xml) for (const [attribute, value] of attributes) if (Group.has(attribute) && typeof value === 'string') attributes.set(attribute, new Set(value.trim().split(Whitespace)));
         const tag = new Tag(name, attributes);         //: Create new tag
+        tag.location = location;
+        tag.raw = source;
+        tag.selfClosing = selfClosing;
         tag.link(this.ancestry.at(-1), this.previous); //: Link tag to the tree and vice versa
-        if (!selfClosing) this.ancestry.push(tag);     //: If tag can bear children, push to stack
+        if (!empty) this.ancestry.push(tag);           //: If tag can bear children, push to stack
         this.previous = tag;                           //: Set tag as previous node
     }
 
     /**
      * 
+     * 
+     * @param {boolean} explicit 
+     * @param {import('./Locator.js').Span} [location] End tag span, if explicit.
+     * @param {string} [source] End tag, if explicit.
      */
-    onEndTag() { 
+    onEndTag(explicit, location, source) { 
         const tag = this.ancestry.pop();                             //: May no longer bear children
         tag.tail = tag.children.at(-1)?.tail ?? tag.children.at(-1); //: Register last descendant
+
+        if (tag.location) {
+            tag.location.endTag = location;
+            tag.location.end = location?.end ?? tag.tail?.location?.end ?? tag.location.end;
+        }
+
+        if (tag.raw) tag.raw.endTag = source;
     }
 
     /**
      * 
      * 
      * @param {string} value 
+     * @param {import('./Locator.js').Span} [location] 
+     * @param {string} [source] 
      */
-    onText(value) {
+    onText(value, location, source) {
         const text = new Text(value);
+        text.location = location;
+        if (source !== undefined) text.raw = { source, value };
         text.link(this.ancestry.at(-1), this.previous);
         this.previous = text;
     }
@@ -195,9 +391,13 @@ export default class Handler {
      * 
      * 
      * @param {string} value 
+     * @param {import('./Locator.js').Span} [location] 
+     * @param {string} [source] 
      */
-    onComment(value) {
+    onComment(value, location, source) {
         const text = new Text(value, Data.COMMENT);
+        text.location = location;
+        if (source !== undefined) text.raw = { source, value };
         text.link(this.ancestry.at(-1), this.previous);
         this.previous = text;
     }
@@ -206,9 +406,13 @@ export default class Handler {
      * 
      * 
      * @param {string} value 
+     * @param {import('./Locator.js').Span} [location] 
+     * @param {string} [source] 
      */
-    onCDATA(value) {
+    onCDATA(value, location, source) {
         const text = new Text(value, Data.CDATA);
+        text.location = location;
+        if (source !== undefined) text.raw = { source, value };
         text.link(this.ancestry.at(-1), this.previous);
         this.previous = text;
     }
@@ -217,9 +421,13 @@ export default class Handler {
      * 
      * 
      * @param {string} value 
+     * @param {import('./Locator.js').Span} [location] 
+     * @param {string} [source] 
      */
-    onDeclaration(value) {
+    onDeclaration(value, location, source) {
         const text = new Text(value, Data.DOCTYPE);
+        text.location = location;
+        if (source !== undefined) text.raw = { source, value };
         text.link(this.ancestry.at(-1), this.previous);
         this.previous = text;
     }
@@ -228,12 +436,79 @@ export default class Handler {
      * 
      * 
      * @param {string} value 
+     * @param {import('./Doctype.js').DoctypeToken} doctype 
+     * @param {import('./Locator.js').Span} [location] 
+     * @param {string} [source] 
      */
-    onDirective(value) {
-        const text = new Text(value, Data.DIRECTIVE);
+    onDoctype(value, doctype, location, source) {
+        const text = new Doctype(value, doctype);
+        text.location = location;
+        if (source !== undefined) text.raw = { source, value };
         text.link(this.ancestry.at(-1), this.previous);
         this.previous = text;
     }
+
+    /**
+     * 
+     * 
+     * @param {string} target 
+     * @param {string} data 
+     * @param {import('./Locator.js').Span} [location] 
+     * @param {string} [source] 
+     * @param {Map<string, string> | null} [attributes = null] 
+     */
+    onDirective(target, data, location, source, attributes = null) {
+        const text = new Directive(target, data, attributes);
+        text.location = location;
+        if (source !== undefined) text.raw = { source, value: data, target };
+        text.link(this.ancestry.at(-1), this.previous);
+        this.previous = text;
+    }
+
+    /**
+     * 
+     * 
+     * @param {string} open 
+     * @param {string} value 
+     * @param {string} close 
+     * @param {import('./Locator.js').Span} [location] 
+     * @param {string} [source] 
+     */
+    onTemplate(open, value, close, location, source) {
+        const text = new Template(open, value, close);
+        text.location = location;
+        if (source !== undefined) text.raw = { source, value };
+        text.link(this.ancestry.at(-1), this.previous);
+        this.previous = text;
+    }
+
+    /**
+     * 
+     * 
+     * @param {string} condition 
+     * @param {boolean} revealed 
+     * @param {string} open 
+     * @param {string | null} markup Hidden markup, if kept opaque.
+     * @param {import('./Parser.js').TagLocation} [location] 
+     */
+    onConditionalStart(condition, revealed, open, markup, location) {
+        const tag = new Conditional(condition, revealed, markup, open);
+        tag.location = location;
+        tag.link(this.ancestry.at(-1), this.previous);
+        this.ancestry.push(tag); //: Closed by its own end, even when opaque
+        this.previous = tag;
+    }
+
+    /**
+     * 
+     * 
+     * @param {string} close 
+     * @param {import('./Locator.js').Span} [location] Closing comment span, if apart.
+     */
+    onConditionalEnd(close, location) {
+        /** @type {Conditional} */ (this.ancestry.at(-1)).close = close;
+        this.onEndTag(true, location);
+    }
 }
 
 //: TODO - Init Tag & Init Text functions?.
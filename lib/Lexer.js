@@ -1,3 +1,10 @@
+import Tracer, { Trace } from './Tracer.js';
+import Locator from './Locator.js';
+import ParseError, { ErrorCode } from './ParseError.js';
+import sniff, { PRESCAN_LENGTH } from './Sniffer.js';
+import Trie from './Trie.js';
+import { ROOT, step, terminal, legacy } from './Decoder.js';
+
 /**
  * ASCII character codes. @enum {number}
  */
@@ -10,6 +17,7 @@ const Character = Object.freeze({
     EQUALS: 0x3d,            // = Attribute Assignment
     QUOTATION_MARK: 0x22,    // " Attribute Value
     APOSTROPHE: 0x27,        // ' Attribute Value
+    GRAVE_ACCENT: 0x60,      // ` Attribute Value
 
     QUESTION_MARK: 0x3f,     // ? Directive
     EXCLAIMATION_MARK: 0x21, // ! Comment - Doctype
@@ -21,15 +29,30 @@ const Character = Object.freeze({
     NUMBER: 0x23,            // # Entity
     SEMI_COLON: 0x3b,        // ; Entity
 
+    DOT: 0x2e,               // . XML Name
+    UNDERSCORE: 0x5f,        // _ XML Name
+    COLON: 0x3a,             // : XML Name
+
     //: Alphanumerics
     LOWERCASE_A: 0x61,       // a
     LOWERCASE_Z: 0x7a,       // z
+    UPPERCASE_A: 0x41,       // A
+    UPPERCASE_Z: 0x5a,       // Z
 
     ZERO: 0x30,              // 0
     NINE: 0x39,              // 9
 
     //: Whitespace
     SPACE: 0x20,
+
+    //: Control
+    NULL: 0x00,
+    LINE_FEED: 0x0a,
+    CARRIAGE_RETURN: 0x0d,
+
+    //: Specials
+    BYTE_ORDER_MARK: 0xfeff,
+    REPLACEMENT: 0xfffd,
 });
 
 /**
@@ -57,28 +80,102 @@ function isAlphanumeric(char) {
 
 /**
  * Checks whether an ASCII character code
- * falls within the whitespace range.
+ * falls within the whitespace range, NULL aside.
  * 
  * @param {number} char 
  * @returns {boolean}
  */
 function isWhitespace(char) {
-    return char <= Character.SPACE;
+    return char <= Character.SPACE && char !== Character.NULL;
+}
+
+/**
+ * Checks whether an ASCII character code is one
+ * of the punctuations XML names may contain.
+ * 
+ * @param {number} char 
+ * @returns {boolean}
+ */
+function isNamePunctuation(char) {
+    return char === Character.DASH || char === Character.DOT || char === Character.UNDERSCORE || char === Character.COLON;
+}
+
+/** Non-ASCII character code ranges XML names may start with, high surrogates standing for U+10000 to U+EFFFF. @type {[number, number][]} */
+const NameStartRanges = [
+    [0xc0, 0xd6], [0xd8, 0xf6], [0xf8, 0x2ff], [0x370, 0x37d], [0x37f, 0x1fff], [0x200c, 0x200d],
+    [0x2070, 0x218f], [0x2c00, 0x2fef], [0x3001, 0xdb7f], [0xf900, 0xfdcf], [0xfdf0, 0xfffd],
+];
+
+/**
+ * Checks whether a character code
+ * may start an XML name.
+ * 
+ * @param {number} char 
+ * @returns {boolean}
+ */
+function isNameStart(char) {
+    if (char < 0x80) return isAlphabetic(char) || char === Character.UNDERSCORE || char === Character.COLON;
+    return NameStartRanges.some(([start, end]) => char >= start && char <= end);
+}
+
+/**
+ * Lowercases an ASCII uppercase character code,
+ * leaving any other as is.
+ * 
+ * @param {number} char 
+ * @returns {number}
+ */
+function toLowerCase(char) {
+    return char >= Character.UPPERCASE_A && char <= Character.UPPERCASE_Z ? char | Character.SPACE : char;
 }
 
 /** Sequences to match special keywords. @enum {Uint8Array} */
 const Sequence = Object.freeze({
-    STYLE: new Uint8Array([0x73, 0x74, 0x79, 0x6c, 0x65]),                       // style
     SCRIPT: new Uint8Array([0x73, 0x63, 0x72, 0x69, 0x70, 0x74]),                // script
-
-    TITLE: new Uint8Array([0x74, 0x69, 0x74, 0x6c, 0x65]),                       // title
-    TEXT_AREA: new Uint8Array([0x74, 0x65, 0x78, 0x74, 0x61, 0x72, 0x65, 0x61]), // textarea
-    XMP: new Uint8Array([0x78, 0x6d, 0x70]),                                     // xmp
-
     CDATA: new Uint8Array([0x43, 0x44, 0x41, 0x54, 0x41]),                       // cdata
     DOCTYPE: new Uint8Array([0x64, 0x6F, 0x63, 0x74, 0x79, 0x70, 0x65]),         // doctype
+    PUBLIC: new Uint8Array([0x70, 0x75, 0x62, 0x6c, 0x69, 0x63]),                // public
+    SYSTEM: new Uint8Array([0x73, 0x79, 0x73, 0x74, 0x65, 0x6d]),                // system
+    REVEAL: new Uint8Array([0x3c, 0x21, 0x2d, 0x2d, 0x3e]),                      // <!-->
 });
 
+/** Content models of elements whose content isn't markup. @enum {string} */
+export const Content = Object.freeze({
+    /** Text up to the element's end tag. */
+    RAW_TEXT: 'raw-text',
+    /** Text with character references, up to the element's end tag. */
+    ESCAPABLE_RAW_TEXT: 'escapable-raw-text',
+    /** Script text up to the element's end tag. */
+    SCRIPT_DATA: 'script-data',
+    /** Text up to the end of input. */
+    PLAINTEXT: 'plaintext',
+});
+
+/** Default element content models. @type {Map<string, Content>} */
+const Elements = new Map([
+    ['iframe', Content.RAW_TEXT],
+    ['noembed', Content.RAW_TEXT],
+    ['noframes', Content.RAW_TEXT],
+    ['noscript', Content.RAW_TEXT],
+    ['style', Content.RAW_TEXT],
+    ['xmp', Content.RAW_TEXT],
+
+    ['textarea', Content.ESCAPABLE_RAW_TEXT],
+    ['title', Content.ESCAPABLE_RAW_TEXT],
+
+    ['script', Content.SCRIPT_DATA],
+
+    ['plaintext', Content.PLAINTEXT],
+]);
+
+/**
+ * Registered element, matched against start tag names.
+ * 
+ * @typedef ElementEntry
+ * @property {Content} content
+ * @property {Uint8Array} sequence Lowercase name, to match the end tag.
+ */
+
 /** HTML attribute quote types. @enum {string} */
 export const Quote = Object.freeze({
     SINGLE: "'",
@@ -86,34 +183,87 @@ export const Quote = Object.freeze({
     NULLUM: ' ',
 });
 
+/** IE conditional comments handling, in HTML. @enum {string} */
+export const Conditionals = Object.freeze({
+    /** Conditional nodes, keeping the markup hidden from other browsers as written. */
+    OPAQUE: 'opaque',
+    /** Conditional nodes, parsing the markup hidden from other browsers into children. */
+    PARSED: 'parsed',
+});
+
+/** Lexer processing statuses. @enum {string} */
+export const Status = Object.freeze({
+    /** Processing input as it's written. */
+    RUNNING: 'running',
+    /** Holding written input until resumed. */
+    PAUSED: 'paused',
+    /** Ignoring any further input. */
+    STOPPED: 'stopped',
+});
+
+/**
+ * @typedef LexerOptions
+ * @property {Tracer | ((entry: import('./Tracer.js').TraceEntry) => any) | boolean} [trace] Trace the lexer, off by default.
+ * @property {boolean} [locations] Track source locations, off by default.
+ * @property {string} [encoding] Transport layer charset of byte input, trusted over sniffing.
+ * @property {string} [defaultEncoding = 'windows-1252'] Byte input encoding when nothing else tells.
+ * @property {Record<string, Content | null>} [elements] Content models to register, or unregister with null, over the defaults.
+ * @property {boolean} [xml] Lex XML: no default content models, CDATA sections, internal DTD subsets and XML entity names.
+ * @property {Iterable<[string, string]>} [templates] Opening and closing template delimiter pairs (e.g. ['{{', '}}']), kept atomic in text and tags.
+ * @property {AbortSignal} [signal] Stops the lexer once aborted.
+ * @property {Conditionals} [conditionals] Lex the markup of downlevel-hidden conditional comments when parsed, left as comments otherwise.
+ * @property {boolean} [lossless] Keep the input as written: no newline normalization, no NULL replacement, byte order mark kept, whitespace-only text, and the whole input buffered.
+ * @property {string} [context] Element the input is a fragment of, whose content model lexing starts in.
+ */
+
 /**
  * @typedef Parser
- * @property {(start: number, end: number) => any} onText
- * @property {(start: number, end: number) => any} onTextEntity
- * @property {() => any} onTextEnd
+ * @property {(start: number, end: number, raw?: boolean) => any} onText Raw text has its NULL characters replaced.
+ * @property {(start: number, end: number, node?: number) => any} onTextEntity Named references come with the trie node they end on, negative if none matched.
+ * @property {(end: number) => any} onTextEnd
  * 
  * @property {(start: number, end: number) => any} onStartTagName
  * @property {(start: number, end: number) => any} onAttributeName
  * @property {(start: number, end: number) => any} onAttributeValue
- * @property {(start: number, end: number) => any} onAttributeEntity
- * @property {(quote: Quote) => any} onAttributeEnd
- * @property {() => any} onSelfClosingTag
+ * @property {(start: number, end: number, node?: number) => any} onAttributeEntity
+ * @property {(quote?: Quote, end?: number) => any} onAttributeEnd
+ * @property {() => boolean | void} onSelfClosingTag Whether the solidus closes the element, which it does unless false.
  * @property {(start: number, end: number) => any} onStartTagClose
  * @property {(start: number, end: number) => any} onEndTagName
+ * @property {(start: number, end: number) => any} onEndTagClose
  * 
- * @property {(start: number, end: number) => any} onComment
- * @property {(start: number, end: number) => any} onCDATA
- * @property {(start: number, end: number) => any} onDeclaration
- * @property {(start: number, end: number) => any} onDirective
+ * @property {(start: number, end: number, tokenStart: number, tokenEnd: number) => any} onComment
+ * @property {() => boolean | void} onCDATAStart Whether a CDATA section may start, which it may unless false.
+ * @property {(start: number, end: number, tokenStart: number, tokenEnd: number) => any} onCDATA
+ * @property {(start: number, end: number) => any} onDoctypeName
+ * @property {(start: number, end: number) => any} onDoctypePublicId
+ * @property {(start: number, end: number) => any} onDoctypeSystemId
+ * @property {() => any} onDoctypeQuirks
+ * @property {(start: number, end: number, tokenStart: number, tokenEnd: number) => any} onDeclaration Doctype in HTML, once its name and identifiers are out.
+ * @property {(start: number, end: number, tokenStart: number, tokenEnd: number) => any} onDirective
+ * @property {(start: number, end: number, tokenStart: number, tokenEnd: number) => any} onTemplate
+ * 
+ * @property {number} [offset]
+ * @property {Locator | null} [locator]
+ * 
+ * @property {(encoding: string, confidence: import('./Sniffer.js').Confidence) => any} onEncoding
  * 
  * @property {() => any} onReset
- * @property {(error: Error) => any} onError
+ * @property {(error: ParseError) => any} onError
  * @property {() => import('./index.js').Tag} onEnd 
  */
 
 export default class Lexer {
     /** @protected @type {Partial<Parser>} */
     parser;
+    /** @protected @type {LexerOptions} */
+    options;
+    /** @readonly @type {Tracer | null} */
+    tracer;
+    /** @readonly @type {Locator | null} */
+    locator;
+    /** Signal abort listener. @protected @type {() => void} */
+    abort;
 
     /** Return state. @protected @type {} */
     previous;
@@ -121,13 +271,65 @@ export default class Lexer {
     next;
     /** Current state. @protected @type {} */
     state;
-
+    /** @readonly @type {Status} */
+    status;
+    /** Whether the states are running over the buffer. @protected @type {boolean} */
+    busy;
+
+    /** Unconsumed input, starting at the current section. @protected @type {string} */
+    buffer;
+    /** Input offset of the buffer's first character. @protected @type {number} */
+    offset;
     /** Buffer index. @protected @type {number} */
     index;
     /** Current section start index (inclusive). @protected @type {number} */
     sectionStart;
-
-    /** Current match sequence. @protected @type {Sequence | null} */
+    /** Start index of the tag being lexed, at its `<`. @protected @type {number} */
+    tagStart;
+
+    /** Whether a leading byte order mark may still come. @protected @type {boolean} */
+    bom;
+    /** Whether the previous chunk ended in a carriage return. @protected @type {boolean} */
+    carriage;
+
+    /** Byte input decoder, once the encoding is known. @protected @type {TextDecoder | null} */
+    decoder;
+    /** Byte input held for sniffing. @protected @type {Uint8Array[]} */
+    bytes;
+    /** @protected @type {number} */
+    byteLength;
+
+    /** Element content models, keyed by lowercase name. @protected @type {Trie<ElementEntry | null>} */
+    elements;
+    /** Registry node matching the start tag name so far. @protected @type {import('./Trie.js').TrieNode<ElementEntry | null> | undefined} */
+    match;
+
+    /** Template delimiters, opening ones keyed to closing ones. @protected @type {Trie<Uint8Array> | null} */
+    templates;
+    /** Opening delimiter node matched so far. @protected @type {import('./Trie.js').TrieNode<Uint8Array> | undefined} */
+    delimiter;
+    /** Template start index. @protected @type {number} */
+    templateStart;
+    /** Longest opening delimiter end index (exclusive), negative until one matches. @protected @type {number} */
+    templateEnd;
+    /** Whether the template stands as its own node, out of tags. @protected @type {boolean} */
+    standalone;
+    /** Closing delimiter of the current template. @protected @type {Uint8Array | null} */
+    closing;
+    /** @protected @type {number} */
+    closingIndex;
+
+    /** Named references trie node matched so far, negative once none goes on, or for numeric and XML references. @protected @type {number} */
+    reference;
+    /** End index (exclusive) of the longest reference allowed without a semicolon, negative until one matches. @protected @type {number} */
+    referenceEnd;
+    /** Named references trie node of the longest reference allowed without a semicolon, negative until one matches. @protected @type {number} */
+    legacyReference;
+
+    /** Start index of the doctype name or identifier being lexed. @protected @type {number} */
+    doctypeStart;
+
+    /** Current match sequence. @protected @type {Uint8Array | null} */
     sequence;
     /** @type {number} */
     sequenceIndex;
@@ -135,9 +337,29 @@ export default class Lexer {
     /**
      * @param {Partial<Parser>} [parser = {}] 
      * @param {boolean} [reset = true] 
+     * @param {LexerOptions} [options = {}] 
      */
-    constructor(parser = {}, reset = true) {
+    constructor(parser = {}, reset = true, options = {}) {
         this.parser = parser;
+        this.options = options;
+
+        const { trace } = options;
+        this.tracer = trace instanceof Tracer ? trace : trace ? new Tracer(typeof trace === 'function' ? trace : undefined) : null;
+        if (this.tracer) this.parser = this.tracer.wrap(parser, this);
+        this.locator = options.locations ? new Locator() : null;
+        this.abort = () => this.stop();
+
+        this.elements = new Trie();
+        if (!options.xml) for (const [name, content] of Elements) this.define(name, content);
+        for (const name in options.elements) this.define(name, options.elements[name]);
+
+        this.templates = null;
+        for (const [open, close] of options.templates ?? []) {
+            const sequence = new Uint8Array(close.length);
+            for (let i = 0; i < close.length; ++i) sequence[i] = close.charCodeAt(i);
+            (this.templates ??= new Trie()).set(open, sequence);
+        }
+
         if (reset) this.reset();
     }
 
@@ -145,46 +367,737 @@ export default class Lexer {
      * 
      */
     reset() {
-        this.parser.onReset?.();
-
         this.previous = null;
         this.next = null;
-        this.state = this.PAGE;
+        this.state = this.options.context ? this.model(this.elements.get(this.options.context.toLowerCase())?.content) : this.PAGE;
+        this.status = this.options.signal?.aborted ? Status.STOPPED : Status.RUNNING;
+        this.busy = false;
+        if (this.status !== Status.STOPPED) this.options.signal?.addEventListener('abort', this.abort, { once: true });
 
+        this.buffer = '';
+        this.offset = 0;
         this.index = 0;
         this.sectionStart = 0;
+        this.tagStart = 0;
 
+        this.bom = true;
+        this.carriage = false;
+
+        this.match = undefined;
         this.sequence = null;
         this.sequenceIndex = 0;
+
+        this.delimiter = undefined;
+        this.templateStart = 0;
+        this.templateEnd = -1;
+        this.standalone = false;
+        this.closing = null;
+        this.closingIndex = 0;
+
+        this.reference = -1;
+        this.referenceEnd = -1;
+        this.legacyReference = -1;
+
+        this.doctypeStart = 0;
+
+        this.decoder = null;
+        this.bytes = [];
+        this.byteLength = 0;
+
+        this.locator?.reset();
+        this.parser.onReset?.();
+        this.parser.locator = this.locator;
+        this.parser.offset = this.offset;
     }
 
     /**
+     * Register an element whose content isn't markup, for this instance.
      * 
+     * @param {string} name 
+     * @param {Content | null} content Null to parse its content as markup.
+     * @returns {this}
+     */
+    define(name, content) {
+        name = name.toLowerCase();
+        const sequence = new Uint8Array(name.length);
+        for (let i = 0; i < name.length; ++i) sequence[i] = name.charCodeAt(i);
+
+        this.elements.set(name, content ? { content, sequence } : null);
+        return this;
+    }
+
+    /**
+     * Pick the state following the start tag, once its name is complete.
      * 
-     * @param {string} chunk 
+     * @protected
+     */
+    enter() {
+        const entry = this.match?.value;
+        this.match = undefined;
+        this.next = this.model(entry?.content);
+        this.sequence = this.next === this.PAGE || this.next === this.PLAINTEXT ? null : entry.sequence;
+    }
+
+    /**
+     * State lexing the content of an element, per its content model.
+     * 
+     * @protected
+     * @param {Content} [content] 
+     */
+    model(content) {
+        switch (content) {
+            case Content.RAW_TEXT:
+                return this.RAW_TEXT;
+            case Content.SCRIPT_DATA:
+                return this.SCRIPT_DATA;
+            case Content.ESCAPABLE_RAW_TEXT:
+                return this.RCDATA;
+            case Content.PLAINTEXT:
+                return this.PLAINTEXT;
+            default:
+                return this.PAGE;
+        }
+    }
+
+    /**
+     * Process the next chunk of input, resuming from where the previous one left off.
+     * Byte input is held until its encoding is sniffed, don't mix it with string input.
+     * 
+     * @param {string | Uint8Array} chunk 
+     * @returns {Status}
      */
     write(chunk) {
-        this.parser.buffer = chunk;
+        if (this.status === Status.STOPPED) return this.status;
+        if (typeof chunk === 'string') {
+            this.process(chunk);
+            return this.status;
+        }
+
+        if (!this.decoder) {
+            this.bytes.push(chunk);
+            if ((this.byteLength += chunk.length) < PRESCAN_LENGTH) return this.status;
+            chunk = this.detect();
+        }
+
+        this.process(this.decoder.decode(chunk, { stream: true }));
+        return this.status;
+    }
+
+    /**
+     * Hold the input from the next character on, until resumed.
+     * Meant to be called from parser or handler callbacks.
+     */
+    pause() {
+        if (this.status === Status.RUNNING) this.status = Status.PAUSED;
+    }
+
+    /**
+     * Process the input held since paused.
+     * 
+     * @returns {Status}
+     */
+    resume() {
+        if (this.status !== Status.PAUSED) return this.status;
+        this.status = Status.RUNNING;
+
+        //: Called back from within the run, which goes on by itself.
+        if (this.busy) return this.status;
+
+        this.run();
+        this.compact();
+        return this.status;
+    }
+
+    /**
+     * Ignore the rest of the input, for good.
+     * Ending then closes what's open without the end of file rules.
+     */
+    stop() {
+        this.status = Status.STOPPED;
+        this.options.signal?.removeEventListener('abort', this.abort);
+    }
+
+    /**
+     * Sniff the held byte input's encoding and set up its decoder.
+     * 
+     * @protected
+     * @returns {Uint8Array} Held bytes.
+     */
+    detect() {
+        const bytes = new Uint8Array(this.byteLength);
+        let length = 0;
+        for (const chunk of this.bytes) bytes.set(chunk, (length += chunk.length) - chunk.length);
+
+        this.bytes = [];
+        this.byteLength = 0;
+
+        const { encoding, confidence } = sniff(bytes, { transport: this.options.encoding, fallback: this.options.defaultEncoding });
+        this.decoder = new TextDecoder(encoding, { ignoreBOM: this.options.lossless });
+        this.parser.onEncoding?.(encoding, confidence);
+
+        //: The decoder strips it, unless lossless.
+        this.bom = false;
+
+        return bytes;
+    }
 
-        do {
-            this.state(chunk.charCodeAt(this.index));
-            console.log(`${chunk.charAt(this.index)}\x1B[2G -> ${this.state.name.padEnd(25, '.')} Index: ${this.index} Start: ${this.sectionStart}`);
-        } while (++this.index < chunk.length);
+    /**
+     * Normalize the newlines of the next chunk of input and strip the leading byte order mark.
+     * Offsets reported from then on refer to the normalized input.
+     * Lossless input is kept as is, byte order mark included.
+     * 
+     * @protected
+     * @param {string} chunk 
+     * @returns {string}
+     */
+    preprocess(chunk) {
+        if (!chunk || this.options.lossless) return chunk;
+
+        if (this.bom) {
+            this.bom = false;
+            if (chunk.charCodeAt(0) === Character.BYTE_ORDER_MARK) chunk = chunk.slice(1);
+        }
+
+        //: \r|\n across chunks.
+        if (this.carriage && chunk.charCodeAt(0) === Character.LINE_FEED) chunk = chunk.slice(1);
+        this.carriage = chunk.charCodeAt(chunk.length - 1) === Character.CARRIAGE_RETURN;
+
+        return chunk.includes('\r') ? chunk.replace(/\r\n?/g, '\n') : chunk;
+    }
+
+    /**
+     * Handle a NULL character at the current index, the way the current state would.
+     * Text keeps it, CDATA even silently, anything else gets a replacement character.
+     * The buffer keeps it either way, for the parser to replace as it slices values.
+     * 
+     * @protected
+     * @returns {number} Character to consume in its place.
+     */
+    substitute() {
+        //: References return to where they were found.
+        const state = this.state === this.BEFORE_TEXT_ENTITY || this.state === this.TEXT_ENTITY ? this.previous : this.state;
+
+        switch (state) {
+            case this.CDATA:
+            case this.CDATA_END_OPEN:
+            case this.CDATA_END:
+                return Character.NULL;
+
+            case this.PAGE:
+            case this.TEXT:
+            case this.START_TAG_OPEN:
+                this.error(ErrorCode.UNEXPECTED_NULL_CHARACTER);
+                return Character.NULL;
+
+            default:
+                this.error(ErrorCode.UNEXPECTED_NULL_CHARACTER);
+                return Character.REPLACEMENT;
+        }
+    }
+
+    /**
+     * 
+     * 
+     * @protected
+     * @param {string} chunk 
+     */
+    process(chunk) {
+        chunk = this.preprocess(chunk);
+        this.locator?.feed(chunk, this.offset + this.buffer.length);
+        this.parser.buffer = this.buffer += chunk;
+
+        this.tracer?.record({ kind: Trace.WRITE, chunk });
+        this.run();
+        this.compact();
+    }
+
+    /**
+     * Run the states over the buffer, from the current index on.
+     * 
+     * @protected
+     */
+    run() {
+        this.busy = true;
+
+        try {
+            if (this.tracer) return this.trace();
+
+            for (; this.index < this.buffer.length && this.status === Status.RUNNING; ++this.index) {
+                let char = this.buffer.charCodeAt(this.index);
+                if (char === Character.NULL) char = this.substitute();
+                this.state(char);
+            }
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Traced counterpart of the write loop, kept apart to spare the untraced one.
+     * 
+     * @protected
+     */
+    trace() {
+        for (; this.index < this.buffer.length && this.status === Status.RUNNING; ++this.index) {
+            const { state, sectionStart } = this;
+            let char = this.buffer.charCodeAt(this.index);
+            if (char === Character.NULL) char = this.substitute();
+            this.state(char);
+
+            const offset = this.offset + this.index;
+            if (this.state !== state) this.tracer.record({ kind: Trace.STATE, offset, from: state.name, to: this.state.name });
+            if (this.sectionStart !== sectionStart) this.tracer.record({ kind: Trace.SECTION, offset, start: this.offset + this.sectionStart });
+        }
+    }
+
+    /**
+     * End a downlevel-hidden conditional comment at its opening, and rewind to lex the markup it hides.
+     * 
+     * @protected
+     */
+    conceal() {
+        const end = this.index - this.sequenceIndex;
+        this.parser.onComment?.(this.sectionStart, end - 1, this.sectionStart - 4, end);
+        this.state = this.PAGE;
+        this.sectionStart = end;
+        this.index = end - 1;
+    }
+
+    /**
+     * Emit the HTML doctype closed by the `>` at the current index.
+     * 
+     * @protected
+     */
+    declare() {
+        this.parser.onDeclaration?.(this.sectionStart + 1, this.index, this.sectionStart - 1, this.index + 1);
+        this.state = this.PAGE;
+        this.sectionStart = this.index + 1;
+        this.sequence = null;
+    }
+
+    /**
+     * Drop the input preceding the current section, which the parser has already consumed.
+     * Indices are rebased on the retained buffer, kept whole in lossless mode.
+     */
+    compact() {
+        const consumed = this.sectionStart;
+        if (!consumed || this.options.lossless) return;
+
+        this.parser.buffer = this.buffer = this.buffer.slice(consumed);
+        this.parser.offset = this.offset += consumed;
+        this.index -= consumed;
+        this.sectionStart = 0;
+        this.tagStart -= consumed;
+        this.templateStart -= consumed;
+        this.templateEnd -= consumed;
+        this.referenceEnd -= consumed;
+        this.doctypeStart -= consumed;
     }
 
     /**
      * 
      * 
-     * @param {string} [chunk] 
+     * @param {string | Uint8Array} [chunk] 
      * @returns {Tag}
      */
     end(chunk) {
         if (chunk) this.write(chunk);
+        if (this.status !== Status.STOPPED) {
+            if (this.bytes.length) this.write(this.detect());
+            if (this.decoder) this.process(this.decoder.decode());
+        }
+
+        //: Ending doesn't wait.
+        while (this.status === Status.PAUSED) this.resume();
+
+        this.tracer?.record({ kind: Trace.END });
+        this.options.signal?.removeEventListener('abort', this.abort);
+        if (this.status === Status.STOPPED) this.parser.onTextEnd?.(this.index);
+        else this.flush();
+
         return this.parser.onEnd?.();
     }
 
-   PAGE(char) {
-        if (isWhitespace(char)) {
+    /**
+     * Emit what the current state holds, following the end of file rules.
+     * 
+     * @protected
+     */
+    flush() {
+        const { index, sectionStart } = this;
+        let trailing = 0;
+
+        switch (this.state) {
+            //: ...{ ...{{
+            case this.TEMPLATE_OPEN:
+                this.settle();
+                ++this.index;
+                this.run();
+                return this.flush();
+
+            //: <!--[if ...]> <!--[if ...]><!-
+            case this.CONDITIONAL_OPEN:
+                this.conceal();
+                ++this.index;
+                this.run();
+                return this.flush();
+
+            //: ...{{ ...
+            case this.TEMPLATE:
+                if (!this.standalone) {
+                    this.state = this.previous;
+                    return this.flush();
+                }
+
+                this.parser.onTemplate?.(this.templateEnd, index, this.templateStart, index);
+                break;
+
+            //: ...< ...</
+            case this.START_TAG_OPEN:
+            case this.END_TAG_OPEN:
+                this.error(ErrorCode.EOF_BEFORE_TAG_NAME);
+                //: Falls through, kept as text.
+
+            case this.TEXT:
+                if (sectionStart !== index) this.parser.onText?.(sectionStart, index);
+                break;
+
+            //: ...& <title>...&
+            case this.BEFORE_TEXT_ENTITY:
+                if (sectionStart !== index) this.parser.onText?.(sectionStart, index, this.previous === this.RCDATA);
+                break;
+
+            case this.PLAINTEXT:
+            case this.RAW_TEXT:
+            case this.RCDATA:
+            case this.RAW_TEXT_END_OPEN:
+            case this.SCRIPT_DATA:
+            case this.SCRIPT_DATA_LESS_THAN:
+            case this.SCRIPT_DATA_ESCAPE_START:
+            case this.SCRIPT_DATA_ESCAPE_START_DASH:
+                if (sectionStart !== index) this.parser.onText?.(sectionStart, index, true);
+                break;
+
+            case this.END_SEQUENCE_MATCH:
+                if (this.previous === this.SCRIPT_DATA_ESCAPED) this.error(ErrorCode.EOF_IN_SCRIPT_HTML_COMMENT_LIKE_TEXT);
+                if (sectionStart !== index) this.parser.onText?.(sectionStart, index, true);
+                break;
+
+            //: <script><!--...
+            case this.SCRIPT_DATA_ESCAPED:
+            case this.SCRIPT_DATA_ESCAPED_DASH:
+            case this.SCRIPT_DATA_ESCAPED_DASH_DASH:
+            case this.SCRIPT_DATA_ESCAPED_LESS_THAN:
+            case this.SCRIPT_DATA_DOUBLE_ESCAPE_START:
+            case this.SCRIPT_DATA_DOUBLE_ESCAPED:
+            case this.SCRIPT_DATA_DOUBLE_ESCAPED_DASH:
+            case this.SCRIPT_DATA_DOUBLE_ESCAPED_DASH_DASH:
+            case this.SCRIPT_DATA_DOUBLE_ESCAPED_LESS_THAN:
+            case this.SCRIPT_DATA_DOUBLE_ESCAPE_END:
+                this.error(ErrorCode.EOF_IN_SCRIPT_HTML_COMMENT_LIKE_TEXT);
+                if (sectionStart !== index) this.parser.onText?.(sectionStart, index, true);
+                break;
+
+            //: ...&a
+            case this.TEXT_ENTITY:
+                //: ...&notit
+                if (this.referenceEnd >= 0) {
+                    this.parser.onTextEntity?.(sectionStart, this.referenceEnd, this.legacyReference);
+                    this.state = this.previous;
+                    this.sectionStart = this.index = this.referenceEnd;
+                    this.run();
+                    return this.flush();
+                }
+
+                //: ...&lang Unterminated, only a legacy reference would have matched.
+                this.parser.onTextEntity?.(sectionStart, index);
+                break;
+
+            //: <! <!- <![CDATA <!DOC
+            case this.START_SEQUENCE_MATCH:
+            case this.EXCLAIMATION:
+            case this.COMMENT_START:
+            case this.CDATA_START:
+                this.error(ErrorCode.INCORRECTLY_OPENED_COMMENT);
+                //: Falls through, as a bogus comment.
+
+            case this.DASHLESS_COMMENT:
+                this.parser.onComment?.(sectionStart + 1, index, sectionStart - 1, index);
+                break;
+
+            //: Closing dashes and bang aren't part of the comment.
+            case this.COMMENT_END_CLOSE: ++trailing; //: <!--...--!
+            case this.COMMENT_END: ++trailing;       //: <!--...--
+            case this.COMMENT_END_OPEN: ++trailing;  //: <!--...-
+            case this.COMMENT:                       //: <!--...
+                this.error(ErrorCode.EOF_IN_COMMENT);
+                this.parser.onComment?.(sectionStart, Math.max(sectionStart, index - trailing), sectionStart - 4, index);
+                break;
+
+            case this.CDATA:
+            case this.CDATA_END_OPEN:
+            case this.CDATA_END:
+                this.error(ErrorCode.EOF_IN_CDATA);
+                this.parser.onCDATA?.(sectionStart, index, sectionStart - 9, index);
+                break;
+
+            case this.DECLARATION:
+            case this.DECLARATION_SUBSET:
+            case this.DQ_DECLARATION_SUBSET:
+            case this.SQ_DECLARATION_SUBSET:
+                this.error(ErrorCode.EOF_IN_DOCTYPE);
+                this.parser.onDeclaration?.(sectionStart + 1, index, sectionStart - 1, index);
+                break;
+
+            //: <!DOCTYPE h
+            case this.DOCTYPE_NAME:
+                this.parser.onDoctypeName?.(this.doctypeStart, index);
+                this.state = this.AFTER_DOCTYPE_NAME;
+                return this.flush();
+
+            //: <!DOCTYPE html PUBLIC "...
+            case this.DQ_DOCTYPE_PUBLIC_IDENTIFIER:
+            case this.SQ_DOCTYPE_PUBLIC_IDENTIFIER:
+                this.parser.onDoctypePublicId?.(this.doctypeStart, index);
+                this.state = this.AFTER_DOCTYPE_PUBLIC_IDENTIFIER;
+                return this.flush();
+
+            //: <!DOCTYPE html SYSTEM "...
+            case this.DQ_DOCTYPE_SYSTEM_IDENTIFIER:
+            case this.SQ_DOCTYPE_SYSTEM_IDENTIFIER:
+                this.parser.onDoctypeSystemId?.(this.doctypeStart, index);
+                this.state = this.AFTER_DOCTYPE_SYSTEM_IDENTIFIER;
+                return this.flush();
+
+            //: <!DOCTYPE html PUB
+            case this.DOCTYPE_KEYWORD:
+                this.error(ErrorCode.INVALID_CHARACTER_SEQUENCE_AFTER_DOCTYPE_NAME, index - this.sequenceIndex);
+                this.parser.onDoctypeQuirks?.();
+                this.state = this.BOGUS_DOCTYPE;
+                return this.flush();
+
+            case this.DOCTYPE:
+            case this.BEFORE_DOCTYPE_NAME:
+            case this.AFTER_DOCTYPE_NAME:
+            case this.AFTER_DOCTYPE_PUBLIC_KEYWORD:
+            case this.BEFORE_DOCTYPE_PUBLIC_IDENTIFIER:
+            case this.AFTER_DOCTYPE_PUBLIC_IDENTIFIER:
+            case this.BETWEEN_DOCTYPE_IDENTIFIERS:
+            case this.AFTER_DOCTYPE_SYSTEM_KEYWORD:
+            case this.BEFORE_DOCTYPE_SYSTEM_IDENTIFIER:
+            case this.AFTER_DOCTYPE_SYSTEM_IDENTIFIER:
+                this.error(ErrorCode.EOF_IN_DOCTYPE);
+                this.parser.onDoctypeQuirks?.();
+                //: Falls through, the doctype cut short.
+
+            case this.BOGUS_DOCTYPE:
+                this.parser.onDeclaration?.(sectionStart + 1, index, sectionStart - 1, index);
+                break;
+
+            case this.DIRECTIVE:
+            case this.DIRECTIVE_END:
+                this.parser.onDirective?.(sectionStart + 1, index, sectionStart - 1, index);
+                break;
+
+            //: Truncated tags are dropped, kept as text in lossless mode.
+            case this.START_TAG_NAME:
+            case this.BEFORE_ATTRIBUTE_NAME:
+            case this.ATTRIBUTE_NAME:
+            case this.AFTER_ATTRIBUTE_NAME:
+            case this.BEFORE_ATTRIBUTE_VALUE:
+            case this.DQ_ATTRIBUTE_VALUE:
+            case this.SQ_ATTRIBUTE_VALUE:
+            case this.NQ_ATTRIBUTE_VALUE:
+            case this.AFTER_ATTRIBUTE_VALUE:
+            case this.BEFORE_ATTRIBUTE_ENTITY:
+            case this.ATTRIBUTE_ENTITY:
+            case this.SELF_CLOSING_TAG:
+            case this.END_TAG_NAME:
+            case this.AFTER_END_TAG_NAME:
+            case this.END_TAG_ATTRIBUTES:
+                this.error(ErrorCode.EOF_IN_TAG);
+                if (this.options.lossless) this.parser.onText?.(this.tagStart, index, true);
+                break;
+        }
+
+        //: Text may be pending even out of text states (e.g. after a reference).
+        this.parser.onTextEnd?.(index);
+    }
+
+    /**
+     * Report a parse error to the parser.
+     * 
+     * @protected
+     * @param {ErrorCode} code 
+     * @param {number} [index = this.index] 
+     */
+    error(code, index = this.index) {
+        const offset = this.offset + index;
+        this.parser.onError?.(new ParseError(code, offset, this.locator?.position(offset)));
+    }
+
+    /**
+     * Start matching an opening template delimiter, returning to the current state if none matches.
+     * 
+     * @protected
+     * @param {number} char 
+     */
+    openTemplate(char) {
+        this.previous = this.state;
+        this.state = this.TEMPLATE_OPEN;
+        this.delimiter = this.templates.root;
+        this.templateStart = this.index;
+        this.templateEnd = -1;
+        this.state(char);
+    }
+
+    /**
+     * Walk the named references trie one reference character further, noting the longest reference allowed without a semicolon.
+     * Once no reference goes on, characters are still consumed as a name if there's no such reference to settle on.
+     * 
+     * @protected
+     * @param {number} char 
+     * @returns {boolean} Whether the reference goes on.
+     */
+    walk(char) {
+        if (this.reference >= 0) {
+            //: &not; The semicolon makes it the longest.
+            if (char === Character.SEMI_COLON && terminal(this.reference)) {
+                this.referenceEnd = -1;
+                return false;
+            }
+
+            this.reference = step(this.reference, char);
+
+            if (this.reference >= 0) {
+                if (legacy(this.reference)) {
+                    this.referenceEnd = this.index + 1;
+                    this.legacyReference = this.reference;
+                }
+
+                return true;
+            }
+        }
+
+        return this.referenceEnd < 0 && (isAlphanumeric(char) || this.options.xml && isNamePunctuation(char));
+    }
+
+    /**
+     * Settle the opening delimiter match on its longest delimiter, or give its first character back.
+     * Rewinds the index, the characters past the settlement are consumed again.
+     * 
+     * @protected
+     */
+    settle() {
+        //: {a... Not a template.
+        if (this.templateEnd < 0) {
+            const { templates } = this;
+            this.index = this.templateStart;
+            this.state = this.previous;
+
+            this.templates = null;
+            this.state(this.buffer.charCodeAt(this.index));
+            this.templates = templates;
+            return;
+        }
+
+        this.index = this.templateEnd - 1;
+        this.state = this.TEMPLATE;
+        this.closingIndex = 0;
+        this.standalone = false;
+
+        switch (this.previous) {
+            //: ...{{
+            case this.PAGE:
+            case this.TEXT:
+            case this.RAW_TEXT:
+            case this.RCDATA:
+            case this.SCRIPT_DATA:
+                //: Leading whitespace isn't text.
+                if (this.previous !== this.PAGE && this.sectionStart !== this.templateStart) {
+                    this.parser.onText?.(this.sectionStart, this.templateStart, this.previous !== this.TEXT);
+                }
+
+                this.parser.onTextEnd?.(this.templateStart);
+                this.sectionStart = this.templateStart;
+                this.standalone = true;
+                if (this.previous === this.TEXT) this.previous = this.PAGE;
+                break;
+
+            //: <div class="main"{{...
+            case this.AFTER_ATTRIBUTE_VALUE:
+                this.error(ErrorCode.MISSING_WHITESPACE_BETWEEN_ATTRIBUTES, this.templateStart);
+                //: Falls through, as an attribute name.
+
+            //: <div {{...
+            case this.BEFORE_ATTRIBUTE_NAME:
+                this.previous = this.ATTRIBUTE_NAME;
+                this.sectionStart = this.templateStart;
+                break;
+
+            //: <script async {{...
+            case this.AFTER_ATTRIBUTE_NAME:
+                this.parser.onAttributeEnd?.();
+                this.previous = this.ATTRIBUTE_NAME;
+                this.sectionStart = this.templateStart;
+                break;
+
+            //: <div class={{...
+            case this.BEFORE_ATTRIBUTE_VALUE:
+                this.previous = this.NQ_ATTRIBUTE_VALUE;
+                this.sectionStart = this.templateStart;
+                break;
+
+            //: Names and values keep the template as is.
+        }
+    }
+
+    TEMPLATE_OPEN(char) {
+        const node = this.delimiter.children.get(char);
+
+        //: {{...
+        if (node) {
+            this.delimiter = node;
+
+            if (node.value) {
+                this.templateEnd = this.index + 1;
+                this.closing = node.value;
+            }
+
+            //: No longer delimiter.
+            if (!node.children.size) this.settle();
+
+        //: {{a... {a...
+        } else {
+            this.settle();
+        }
+    }
+
+    TEMPLATE(char) {
+        //: {{ ... }
+        if (char === this.closing[this.closingIndex]) {
+            if (++this.closingIndex < this.closing.length) return;
+
+            //: {{ ... }}
+            if (this.standalone) {
+                this.parser.onTemplate?.(this.templateEnd, this.index + 1 - this.closing.length, this.templateStart, this.index + 1);
+                this.sectionStart = this.index + 1;
+            }
+
+            this.state = this.previous;
+            this.closing = null;
+
+        //: {{ ... }a
+        } else {
+            this.closingIndex = char === this.closing[0] ? 1 : 0;
+        }
+    }
+
+    PAGE(char) {
+        //: {{...
+        if (this.templates?.root.children.has(char)) return this.openTemplate(char);
+
+        if (isWhitespace(char) && !this.options.lossless) {
             return;
         
         //: ...<
@@ -194,6 +1107,7 @@ export default class Lexer {
         
         //: ...&
         } else if (char === Character.AMPERSAND) {
+            this.previous = this.TEXT;
             this.state = this.BEFORE_TEXT_ENTITY;
         
         //: ...a
@@ -203,12 +1117,16 @@ export default class Lexer {
     }
     
     TEXT(char) {
+        //: {{...
+        if (this.templates?.root.children.has(char)) return this.openTemplate(char);
+
         //: ...<
         if (char === Character.LESS_THAN) {
             this.state = this.START_TAG_OPEN;
 
         //: ...&
         } else if (char === Character.AMPERSAND) {
+            this.previous = this.state;
             this.state = this.BEFORE_TEXT_ENTITY;
         }
 
@@ -217,29 +1135,40 @@ export default class Lexer {
 
     BEFORE_TEXT_ENTITY(char) {
         //: &a... &#...
-        if (isAlphanumeric(char) || char === Character.NUMBER) {
+        if (isAlphanumeric(char) || char === Character.NUMBER || this.options.xml && isNamePunctuation(char)) {
             if (this.sectionStart !== this.index - 1) {
-                this.parser.onText?.(this.sectionStart, this.index - 1);
+                this.parser.onText?.(this.sectionStart, this.index - 1, this.previous === this.RCDATA);
             }
 
             this.state = this.TEXT_ENTITY;
             this.sectionStart = this.index;
+            this.reference = char === Character.NUMBER || this.options.xml ? -1 : step(ROOT, char);
+            this.referenceEnd = -1;
+            this.legacyReference = -1;
 
         //: & ...
         } else {
-            this.state = this.TEXT;
+            if (this.options.xml) this.error(ErrorCode.UNESCAPED_AMPERSAND, this.index - 1);
+            this.state = this.previous;
             this.state(char);
         }
     }
 
     TEXT_ENTITY(char) {
         //: &a...
-        if (isAlphanumeric(char)) {
+        if (this.walk(char)) {
             return;
 
+        //: &notit... &copy2024... Consumed again past the reference.
+        } else if (this.referenceEnd >= 0) {
+            this.parser.onTextEntity?.(this.sectionStart, this.referenceEnd, this.legacyReference);
+            this.state = this.previous;
+            this.sectionStart = this.referenceEnd;
+            this.index = this.referenceEnd - 1;
+
         } else {
-            this.parser.onTextEntity?.(this.sectionStart, this.index);
-            this.state = this.TEXT;
+            this.parser.onTextEntity?.(this.sectionStart, this.index, this.reference);
+            this.state = this.previous;
 
             //: &a;
             if (char === Character.SEMI_COLON) {
@@ -254,12 +1183,246 @@ export default class Lexer {
     }
 
     RAW_TEXT(char) {
+        //: {{...
+        if (this.templates?.root.children.has(char)) return this.openTemplate(char);
+
+        //: ...<
+        if (char === Character.LESS_THAN) {
+            this.previous = this.state;
+            this.state = this.RAW_TEXT_END_OPEN;
+        }
+    }
+
+    RCDATA(char) {
+        //: {{...
+        if (this.templates?.root.children.has(char)) return this.openTemplate(char);
+
         //: ...<
         if (char === Character.LESS_THAN) {
+            this.previous = this.state;
             this.state = this.RAW_TEXT_END_OPEN;
+
+        //: ...&
+        } else if (char === Character.AMPERSAND) {
+            this.previous = this.state;
+            this.state = this.BEFORE_TEXT_ENTITY;
+        }
+    }
+
+    SCRIPT_DATA(char) {
+        //: {{...
+        if (this.templates?.root.children.has(char)) return this.openTemplate(char);
+
+        //: ...<
+        if (char === Character.LESS_THAN) {
+            this.state = this.SCRIPT_DATA_LESS_THAN;
+        }
+    }
+
+    SCRIPT_DATA_LESS_THAN(char) {
+        //: </...
+        if (char === Character.SLASH) {
+            this.previous = this.SCRIPT_DATA;
+            this.state = this.END_SEQUENCE_MATCH;
+            this.sequenceIndex = 0;
+
+        //: <!...
+        } else if (char === Character.EXCLAIMATION_MARK) {
+            this.state = this.SCRIPT_DATA_ESCAPE_START;
+
+        //: <a...
+        } else {
+            this.state = this.SCRIPT_DATA;
+            this.state(char);
+        }
+    }
+
+    SCRIPT_DATA_ESCAPE_START(char) {
+        //: <!-...
+        if (char === Character.DASH) {
+            this.state = this.SCRIPT_DATA_ESCAPE_START_DASH;
+
+        //: <!a...
+        } else {
+            this.state = this.SCRIPT_DATA;
+            this.state(char);
         }
     }
 
+    SCRIPT_DATA_ESCAPE_START_DASH(char) {
+        //: <!--...
+        if (char === Character.DASH) {
+            this.state = this.SCRIPT_DATA_ESCAPED_DASH_DASH;
+
+        //: <!-a...
+        } else {
+            this.state = this.SCRIPT_DATA;
+            this.state(char);
+        }
+    }
+
+    SCRIPT_DATA_ESCAPED(char) {
+        //: <!--...-
+        if (char === Character.DASH) {
+            this.state = this.SCRIPT_DATA_ESCAPED_DASH;
+
+        //: <!--...<
+        } else if (char === Character.LESS_THAN) {
+            this.state = this.SCRIPT_DATA_ESCAPED_LESS_THAN;
+        }
+    }
+
+    SCRIPT_DATA_ESCAPED_DASH(char) {
+        //: <!--...--
+        if (char === Character.DASH) {
+            this.state = this.SCRIPT_DATA_ESCAPED_DASH_DASH;
+
+        //: <!--...-<
+        } else if (char === Character.LESS_THAN) {
+            this.state = this.SCRIPT_DATA_ESCAPED_LESS_THAN;
+
+        //: <!--...-a
+        } else {
+            this.state = this.SCRIPT_DATA_ESCAPED;
+        }
+    }
+
+    SCRIPT_DATA_ESCAPED_DASH_DASH(char) {
+        //: <!--...---
+        if (char === Character.DASH) {
+            return;
+
+        //: <!--...--<
+        } else if (char === Character.LESS_THAN) {
+            this.state = this.SCRIPT_DATA_ESCAPED_LESS_THAN;
+
+        //: <!--...-->
+        } else if (char === Character.GREATER_THAN) {
+            this.state = this.SCRIPT_DATA;
+
+        //: <!--...--a
+        } else {
+            this.state = this.SCRIPT_DATA_ESCAPED;
+        }
+    }
+
+    SCRIPT_DATA_ESCAPED_LESS_THAN(char) {
+        //: <!--...</...
+        if (char === Character.SLASH) {
+            this.previous = this.SCRIPT_DATA_ESCAPED;
+            this.state = this.END_SEQUENCE_MATCH;
+            this.sequenceIndex = 0;
+
+        //: <!--...<a...
+        } else if (isAlphabetic(char)) {
+            this.state = this.SCRIPT_DATA_DOUBLE_ESCAPE_START;
+            this.sequenceIndex = 0;
+            this.state(char);
+
+        //: <!--...<0...
+        } else {
+            this.state = this.SCRIPT_DATA_ESCAPED;
+            this.state(char);
+        }
+    }
+
+    SCRIPT_DATA_DOUBLE_ESCAPE_START(char) {
+        //: <!--...<script> <!--...<script ... <!--...<script/...
+        if (isWhitespace(char) || char === Character.SLASH || char === Character.GREATER_THAN) {
+            this.state = this.sequenceIndex === Sequence.SCRIPT.length ? this.SCRIPT_DATA_DOUBLE_ESCAPED : this.SCRIPT_DATA_ESCAPED;
+
+        //: <!--...<scr...
+        } else if (isAlphabetic(char)) {
+            //: Negative once the name diverges from the keyword.
+            if (this.sequenceIndex >= 0 && toLowerCase(char) === Sequence.SCRIPT[this.sequenceIndex]) ++this.sequenceIndex;
+            else this.sequenceIndex = -1;
+
+        //: <!--...<scr0...
+        } else {
+            this.state = this.SCRIPT_DATA_ESCAPED;
+            this.state(char);
+        }
+    }
+
+    SCRIPT_DATA_DOUBLE_ESCAPED(char) {
+        //: <!--...<script>...-
+        if (char === Character.DASH) {
+            this.state = this.SCRIPT_DATA_DOUBLE_ESCAPED_DASH;
+
+        //: <!--...<script>...<
+        } else if (char === Character.LESS_THAN) {
+            this.state = this.SCRIPT_DATA_DOUBLE_ESCAPED_LESS_THAN;
+        }
+    }
+
+    SCRIPT_DATA_DOUBLE_ESCAPED_DASH(char) {
+        //: <!--...<script>...--
+        if (char === Character.DASH) {
+            this.state = this.SCRIPT_DATA_DOUBLE_ESCAPED_DASH_DASH;
+
+        //: <!--...<script>...-<
+        } else if (char === Character.LESS_THAN) {
+            this.state = this.SCRIPT_DATA_DOUBLE_ESCAPED_LESS_THAN;
+
+        //: <!--...<script>...-a
+        } else {
+            this.state = this.SCRIPT_DATA_DOUBLE_ESCAPED;
+        }
+    }
+
+    SCRIPT_DATA_DOUBLE_ESCAPED_DASH_DASH(char) {
+        //: <!--...<script>...---
+        if (char === Character.DASH) {
+            return;
+
+        //: <!--...<script>...--<
+        } else if (char === Character.LESS_THAN) {
+            this.state = this.SCRIPT_DATA_DOUBLE_ESCAPED_LESS_THAN;
+
+        //: <!--...<script>...-->
+        } else if (char === Character.GREATER_THAN) {
+            this.state = this.SCRIPT_DATA;
+
+        //: <!--...<script>...--a
+        } else {
+            this.state = this.SCRIPT_DATA_DOUBLE_ESCAPED;
+        }
+    }
+
+    SCRIPT_DATA_DOUBLE_ESCAPED_LESS_THAN(char) {
+        //: <!--...<script>...</...
+        if (char === Character.SLASH) {
+            this.state = this.SCRIPT_DATA_DOUBLE_ESCAPE_END;
+            this.sequenceIndex = 0;
+
+        //: <!--...<script>...<a...
+        } else {
+            this.state = this.SCRIPT_DATA_DOUBLE_ESCAPED;
+            this.state(char);
+        }
+    }
+
+    SCRIPT_DATA_DOUBLE_ESCAPE_END(char) {
+        //: <!--...<script>...</script> <!--...<script>...</script ... <!--...<script>...</script/...
+        if (isWhitespace(char) || char === Character.SLASH || char === Character.GREATER_THAN) {
+            this.state = this.sequenceIndex === Sequence.SCRIPT.length ? this.SCRIPT_DATA_ESCAPED : this.SCRIPT_DATA_DOUBLE_ESCAPED;
+
+        //: <!--...<script>...</scr...
+        } else if (isAlphabetic(char)) {
+            if (this.sequenceIndex >= 0 && toLowerCase(char) === Sequence.SCRIPT[this.sequenceIndex]) ++this.sequenceIndex;
+            else this.sequenceIndex = -1;
+
+        //: <!--...<script>...</scr0...
+        } else {
+            this.state = this.SCRIPT_DATA_DOUBLE_ESCAPED;
+            this.state(char);
+        }
+    }
+
+    PLAINTEXT() {
+        //: Never ends.
+    }
+
     RAW_TEXT_END_OPEN(char) {
         //: </...
         if (char === Character.SLASH) {
@@ -268,7 +1431,7 @@ export default class Lexer {
         
         //: <a
         } else {
-            this.state = this.RAW_TEXT;
+            this.state = this.previous;
             this.state(char);
         }
     }
@@ -279,31 +1442,11 @@ export default class Lexer {
             this.state = this.END_TAG_OPEN;
             return; //: Don't emit text yet.
 
-        //: <a...
-        } else if (isAlphabetic(char)) {
-            check: {
-                //: <s...
-                if (char === Sequence.SCRIPT[0]) {
-                    this.state = this.S_SEQUENCE_START;
-
-                //: <t...
-                } else if (char === Sequence.TEXT_AREA[0]) {
-                    this.state = this.T_SEQUENCE_START;
-
-                //: <x...
-                } else if (char === Sequence.XMP[0]) {
-                    this.state = this.START_SEQUENCE_MATCH;
-                    this.sequence = Sequence.XMP;
-                    this.sequenceIndex = 1;
-
-                //: <d...
-                } else {
-                    this.state = this.START_TAG_NAME;
-                    break check;
-                }
-
-                this.previous = this.next = this.START_TAG_NAME;
-            }
+        //: <a... <_...
+        } else if (this.options.xml ? isNameStart(char) : isAlphabetic(char)) {
+            this.state = this.START_TAG_NAME;
+            this.tagStart = this.index - 1;
+            this.match = this.elements.root.children.get(toLowerCase(char));
             
         //: <!...
         } else if (char === Character.EXCLAIMATION_MARK) {
@@ -311,10 +1454,12 @@ export default class Lexer {
 
         //: <?...
         } else if (char === Character.QUESTION_MARK) {
+            if (!this.options.xml) this.error(ErrorCode.UNEXPECTED_QUESTION_MARK_INSTEAD_OF_TAG_NAME);
             this.state = this.DIRECTIVE;
 
         //: <<... <>... <0...
         } else {
+            this.error(ErrorCode.INVALID_FIRST_CHARACTER_OF_TAG_NAME);
             this.state = this.TEXT;
             this.state(char);
             return; //: Don't emit text yet.
@@ -323,9 +1468,10 @@ export default class Lexer {
         //: Emit text if exists.
         if (this.sectionStart !== this.index - 1) {
             this.parser.onText?.(this.sectionStart, this.index - 1);
-            this.parser.onTextEnd?.();
         }
 
+        this.parser.onTextEnd?.(this.index - 1);
+
         //: Delayed section start index update.
         this.sectionStart = this.index;
     }
@@ -334,69 +1480,35 @@ export default class Lexer {
         //: <div ...
         if (isWhitespace(char)) {
             this.parser.onStartTagName?.(this.sectionStart, this.index);
+            this.enter();
             this.state = this.BEFORE_ATTRIBUTE_NAME;
 
-        //: <div>
-        } else if (char === Character.GREATER_THAN) {
-            this.parser.onStartTagName?.(this.sectionStart, this.index);
-            this.parser.onStartTagClose?.();
-            this.state = this.sequence ? this.RAW_TEXT : this.PAGE;
-            this.sectionStart = this.index + 1;
-
-        //: <img/...
-        } else if (char === Character.SLASH) {
-            this.parser.onStartTagName?.(this.sectionStart, this.index);
-            this.state = this.SELF_CLOSING_TAG;
-        }
-    }
-
-    S_SEQUENCE_START(char) {
-        char |= Character.SPACE; //: Case insensitive.
-
-        //: <sc...
-        if (char === Sequence.SCRIPT[1]) {
-            this.sequence = Sequence.SCRIPT;
-
-        //: <st...
-        } else if (char === Sequence.STYLE[1]) {
-            this.sequence = Sequence.STYLE;
-
-        //: <sp...
-        } else {
-            this.state = this.START_TAG_NAME;
-            this.state(char);
-            return;
-        }
-
-        this.state = this.START_SEQUENCE_MATCH;
-        this.sequenceIndex = 2;
-    }
-
-    T_SEQUENCE_START(char) {
-        char |= Character.SPACE; //: Case insensitive.
-
-        //: <te...
-        if (char === Sequence.TEXT_AREA[1]) {
-            this.sequence = Sequence.TEXT_AREA;
+        //: <div>
+        } else if (char === Character.GREATER_THAN) {
+            this.parser.onStartTagName?.(this.sectionStart, this.index);
+            this.enter();
+            this.parser.onStartTagClose?.(this.index, this.index + 1);
+            this.state = this.next;
+            this.sectionStart = this.index + 1;
 
-        //: <ti...
-        } else if (char === Sequence.TITLE[1]) {
-            this.sequence = Sequence.TITLE;
+        //: <img/...
+        } else if (char === Character.SLASH) {
+            this.parser.onStartTagName?.(this.sectionStart, this.index);
+            this.enter();
+            this.state = this.SELF_CLOSING_TAG;
 
-        //: <tr...
-        } else {
-            this.state = this.START_TAG_NAME;
-            this.state(char);
-            return;
+        //: <di...
+        } else if (this.match) {
+            this.match = this.match.children.get(toLowerCase(char));
         }
-
-        this.state = this.START_SEQUENCE_MATCH;
-        this.sequenceIndex = 2;
     }
 
     START_SEQUENCE_MATCH(char) {
+        //: CDATA is case-sensitive.
+        const folded = this.sequence === Sequence.CDATA ? char : char | Character.SPACE;
+
         //: Failure
-        if ((char | Character.SPACE) !== this.sequence[this.sequenceIndex]) {
+        if (folded !== this.sequence[this.sequenceIndex]) {
             this.state = this.previous;
             this.state(char);
             this.sequence = null;
@@ -408,22 +1520,39 @@ export default class Lexer {
     }
 
     END_SEQUENCE_MATCH(char) {
-        //: Failure
-        if ((char | Character.SPACE) !== this.sequence[this.sequenceIndex]) {
-            this.state = this.RAW_TEXT;
+        //: No end tag is appropriate in the context element of a fragment.
+        if (!this.sequence) {
+            this.state = this.previous;
             this.state(char);
+            return;
 
-        //: Success
-        } else if (++this.sequenceIndex === this.sequence.length) {
-            if (this.sectionStart !== this.index - this.sequence.length - 1) {
-                this.parser.onText?.(this.sectionStart, this.index - this.sequence.length - 1);
-                this.parser.onTextEnd?.();
+        //: </scr...
+        } else if (this.sequenceIndex < this.sequence.length) {
+            if (toLowerCase(char) === this.sequence[this.sequenceIndex]) {
+                ++this.sequenceIndex;
+                return;
             }
-            
+
+        //: Success: </script> </script ... </script/...
+        } else if (isWhitespace(char) || char === Character.SLASH || char === Character.GREATER_THAN) {
+            const end = this.index - this.sequence.length - 2;
+            if (this.sectionStart !== end) {
+                this.parser.onText?.(this.sectionStart, end, true);
+            }
+
+            this.parser.onTextEnd?.(end);
+
             this.state = this.END_TAG_NAME;
-            this.sectionStart = this.index - this.sequence.length + 1;
+            this.tagStart = end;
+            this.sectionStart = this.index - this.sequence.length;
             this.sequence = null;
+            this.state(char);
+            return;
         }
+
+        //: Failure: </scra... </scripts...
+        this.state = this.previous;
+        this.state(char);
     }
 
     EXCLAIMATION(char) {
@@ -436,21 +1565,23 @@ export default class Lexer {
         } else if (char === Character.OPEN_BRACKET) {
             this.next = this.CDATA_START;
             this.sequence = Sequence.CDATA;
+            this.sequenceIndex = 0;
 
         //: <!d...
         } else if ((char | Character.SPACE) === Sequence.DOCTYPE[0]) {
-            this.next = this.DECLARATION;
+            this.next = this.options.xml ? this.DECLARATION : this.DOCTYPE;
             this.sequence = Sequence.DOCTYPE;
+            this.sequenceIndex = 1;
 
         //: <!a...
         } else {
+            this.error(ErrorCode.INCORRECTLY_OPENED_COMMENT);
             this.state = this.DASHLESS_COMMENT;
             return;
         }
 
         this.previous = this.DASHLESS_COMMENT;
         this.state = this.START_SEQUENCE_MATCH;
-        this.sequenceIndex = 1;
     }
     
     COMMENT_START(char) {
@@ -461,6 +1592,7 @@ export default class Lexer {
 
         //: <!-a...
         } else {
+            this.error(ErrorCode.INCORRECTLY_OPENED_COMMENT);
             this.state = this.DASHLESS_COMMENT;
         }
     }
@@ -469,6 +1601,27 @@ export default class Lexer {
         //: ...-
         if (char === Character.DASH) {
             this.state = this.COMMENT_END_OPEN;
+
+        //: <!--[if ...]>
+        } else if (char === Character.GREATER_THAN && this.options.conditionals === Conditionals.PARSED && !this.options.xml && this.buffer.startsWith('[if', this.sectionStart) && this.buffer.indexOf(']', this.sectionStart) === this.index - 1) {
+            this.state = this.CONDITIONAL_OPEN;
+            this.sequenceIndex = 0;
+        }
+    }
+
+    CONDITIONAL_OPEN(char) {
+        //: <!--[if ...]><!-...
+        if (char === Sequence.REVEAL[this.sequenceIndex]) {
+            //: <!--[if ...]><!-->
+            if (++this.sequenceIndex === Sequence.REVEAL.length) {
+                this.parser.onComment?.(this.sectionStart, this.index - 2, this.sectionStart - 4, this.index + 1);
+                this.state = this.PAGE;
+                this.sectionStart = this.index + 1;
+            }
+
+        //: <!--[if ...]>...
+        } else {
+            this.conceal();
         }
     }
 
@@ -486,7 +1639,10 @@ export default class Lexer {
     COMMENT_END(char) {
         //: ...-->
         if (char === Character.GREATER_THAN) {
-            this.parser.onComment?.(this.sectionStart, this.index - 2);
+            //: <!--> <!--->
+            if (this.index - this.sectionStart < 2) this.error(ErrorCode.ABRUPT_CLOSING_OF_EMPTY_COMMENT);
+
+            this.parser.onComment?.(this.sectionStart, this.index - 2, this.sectionStart - 4, this.index + 1);
             this.state = this.PAGE;
             this.sectionStart = this.index + 1;
         
@@ -504,7 +1660,8 @@ export default class Lexer {
     COMMENT_END_CLOSE(char) {
         //: ...--!>
         if (char === Character.GREATER_THAN) {
-            this.parser.onComment?.(this.sectionStart, this.index - 3);
+            this.error(ErrorCode.INCORRECTLY_CLOSED_COMMENT);
+            this.parser.onComment?.(this.sectionStart, this.index - 3, this.sectionStart - 4, this.index + 1);
             this.state = this.PAGE;
             this.sectionStart = this.index + 1;
         
@@ -518,6 +1675,13 @@ export default class Lexer {
     CDATA_START(char) {
         //: <![cdata[...
         if (char === Character.OPEN_BRACKET) {
+            //: CDATA sections are XML's and foreign content's, bogus comments in HTML.
+            if (!this.options.xml && this.parser.onCDATAStart?.() === false) {
+                this.error(ErrorCode.CDATA_IN_HTML_CONTENT);
+                this.state = this.DASHLESS_COMMENT;
+                return;
+            }
+
             this.state = this.CDATA;
             this.sectionStart = this.index + 1;
         
@@ -549,7 +1713,7 @@ export default class Lexer {
     CDATA_END(char) {
         //: ...]]>
         if (char === Character.GREATER_THAN) {
-            this.parser.onCDATA?.(this.sectionStart, this.index - 2);
+            this.parser.onCDATA?.(this.sectionStart, this.index - 2, this.sectionStart - 9, this.index + 1);
             this.state = this.PAGE;
             this.sectionStart = this.index + 1;
             this.sequence = null;
@@ -564,17 +1728,316 @@ export default class Lexer {
     DECLARATION(char) {
         //: ...>
         if (char === Character.GREATER_THAN) {
-            this.parser.onDeclaration?.(this.sectionStart + 1, this.index);
+            this.parser.onDeclaration?.(this.sectionStart + 1, this.index, this.sectionStart - 1, this.index + 1);
             this.state = this.PAGE;
             this.sectionStart = this.index + 1;
             this.sequence = null;
+
+        //: <!DOCTYPE a [...
+        } else if (char === Character.OPEN_BRACKET && this.options.xml) {
+            this.state = this.DECLARATION_SUBSET;
+        }
+    }
+
+    DECLARATION_SUBSET(char) {
+        //: ...]
+        if (char === Character.CLOSE_BRACKET) {
+            this.state = this.DECLARATION;
+
+        //: ..."
+        } else if (char === Character.QUOTATION_MARK) {
+            this.state = this.DQ_DECLARATION_SUBSET;
+
+        //: ...'
+        } else if (char === Character.APOSTROPHE) {
+            this.state = this.SQ_DECLARATION_SUBSET;
+        }
+    }
+
+    DQ_DECLARATION_SUBSET(char) {
+        //: "..."
+        if (char === Character.QUOTATION_MARK) {
+            this.state = this.DECLARATION_SUBSET;
+        }
+    }
+
+    SQ_DECLARATION_SUBSET(char) {
+        //: '...'
+        if (char === Character.APOSTROPHE) {
+            this.state = this.DECLARATION_SUBSET;
+        }
+    }
+
+    DOCTYPE(char) {
+        //: <!DOCTYPE ...
+        if (isWhitespace(char)) {
+            this.state = this.BEFORE_DOCTYPE_NAME;
+
+        //: <!DOCTYPE> <!DOCTYPEh...
+        } else {
+            if (char !== Character.GREATER_THAN) this.error(ErrorCode.MISSING_WHITESPACE_BEFORE_DOCTYPE_NAME);
+            this.state = this.BEFORE_DOCTYPE_NAME;
+            this.state(char);
+        }
+    }
+
+    BEFORE_DOCTYPE_NAME(char) {
+        //: <!DOCTYPE>
+        if (char === Character.GREATER_THAN) {
+            this.error(ErrorCode.MISSING_DOCTYPE_NAME);
+            this.parser.onDoctypeQuirks?.();
+            this.declare();
+
+        //: <!DOCTYPE h...
+        } else if (!isWhitespace(char)) {
+            this.state = this.DOCTYPE_NAME;
+            this.doctypeStart = this.index;
+        }
+    }
+
+    DOCTYPE_NAME(char) {
+        //: <!DOCTYPE html ...
+        if (isWhitespace(char)) {
+            this.parser.onDoctypeName?.(this.doctypeStart, this.index);
+            this.state = this.AFTER_DOCTYPE_NAME;
+
+        //: <!DOCTYPE html>
+        } else if (char === Character.GREATER_THAN) {
+            this.parser.onDoctypeName?.(this.doctypeStart, this.index);
+            this.declare();
+        }
+    }
+
+    AFTER_DOCTYPE_NAME(char) {
+        //: <!DOCTYPE html >
+        if (char === Character.GREATER_THAN) {
+            this.declare();
+
+        //: <!DOCTYPE html p... <!DOCTYPE html s...
+        } else if ((char | Character.SPACE) === Sequence.PUBLIC[0] || (char | Character.SPACE) === Sequence.SYSTEM[0]) {
+            this.state = this.DOCTYPE_KEYWORD;
+            this.sequence = (char | Character.SPACE) === Sequence.PUBLIC[0] ? Sequence.PUBLIC : Sequence.SYSTEM;
+            this.sequenceIndex = 1;
+
+        //: <!DOCTYPE html x...
+        } else if (!isWhitespace(char)) {
+            this.error(ErrorCode.INVALID_CHARACTER_SEQUENCE_AFTER_DOCTYPE_NAME);
+            this.parser.onDoctypeQuirks?.();
+            this.state = this.BOGUS_DOCTYPE;
+        }
+    }
+
+    DOCTYPE_KEYWORD(char) {
+        //: Failure: <!DOCTYPE html publix...
+        if ((char | Character.SPACE) !== this.sequence[this.sequenceIndex]) {
+            this.error(ErrorCode.INVALID_CHARACTER_SEQUENCE_AFTER_DOCTYPE_NAME, this.index - this.sequenceIndex);
+            this.parser.onDoctypeQuirks?.();
+            this.state = this.BOGUS_DOCTYPE;
+            this.state(char);
+
+        //: Success: <!DOCTYPE html public... <!DOCTYPE html system...
+        } else if (++this.sequenceIndex === this.sequence.length) {
+            this.state = this.sequence === Sequence.PUBLIC ? this.AFTER_DOCTYPE_PUBLIC_KEYWORD : this.AFTER_DOCTYPE_SYSTEM_KEYWORD;
+        }
+    }
+
+    AFTER_DOCTYPE_PUBLIC_KEYWORD(char) {
+        //: <!DOCTYPE html PUBLIC ...
+        if (isWhitespace(char)) {
+            this.state = this.BEFORE_DOCTYPE_PUBLIC_IDENTIFIER;
+
+        //: <!DOCTYPE html PUBLIC"... <!DOCTYPE html PUBLIC>
+        } else {
+            if (char === Character.QUOTATION_MARK || char === Character.APOSTROPHE) this.error(ErrorCode.MISSING_WHITESPACE_AFTER_DOCTYPE_PUBLIC_KEYWORD);
+            this.state = this.BEFORE_DOCTYPE_PUBLIC_IDENTIFIER;
+            this.state(char);
+        }
+    }
+
+    BEFORE_DOCTYPE_PUBLIC_IDENTIFIER(char) {
+        //: <!DOCTYPE html PUBLIC "...
+        if (char === Character.QUOTATION_MARK) {
+            this.state = this.DQ_DOCTYPE_PUBLIC_IDENTIFIER;
+            this.doctypeStart = this.index + 1;
+
+        //: <!DOCTYPE html PUBLIC '...
+        } else if (char === Character.APOSTROPHE) {
+            this.state = this.SQ_DOCTYPE_PUBLIC_IDENTIFIER;
+            this.doctypeStart = this.index + 1;
+
+        //: <!DOCTYPE html PUBLIC>
+        } else if (char === Character.GREATER_THAN) {
+            this.error(ErrorCode.MISSING_DOCTYPE_PUBLIC_IDENTIFIER);
+            this.parser.onDoctypeQuirks?.();
+            this.declare();
+
+        //: <!DOCTYPE html PUBLIC x...
+        } else if (!isWhitespace(char)) {
+            this.error(ErrorCode.MISSING_QUOTE_BEFORE_DOCTYPE_PUBLIC_IDENTIFIER);
+            this.parser.onDoctypeQuirks?.();
+            this.state = this.BOGUS_DOCTYPE;
+        }
+    }
+
+    DQ_DOCTYPE_PUBLIC_IDENTIFIER(char) {
+        //: <!DOCTYPE html PUBLIC "..."
+        if (char === Character.QUOTATION_MARK) {
+            this.parser.onDoctypePublicId?.(this.doctypeStart, this.index);
+            this.state = this.AFTER_DOCTYPE_PUBLIC_IDENTIFIER;
+
+        //: <!DOCTYPE html PUBLIC "...>
+        } else if (char === Character.GREATER_THAN) {
+            this.error(ErrorCode.ABRUPT_DOCTYPE_PUBLIC_IDENTIFIER);
+            this.parser.onDoctypePublicId?.(this.doctypeStart, this.index);
+            this.parser.onDoctypeQuirks?.();
+            this.declare();
+        }
+    }
+
+    SQ_DOCTYPE_PUBLIC_IDENTIFIER(char) {
+        //: <!DOCTYPE html PUBLIC '...'
+        if (char === Character.APOSTROPHE) {
+            this.parser.onDoctypePublicId?.(this.doctypeStart, this.index);
+            this.state = this.AFTER_DOCTYPE_PUBLIC_IDENTIFIER;
+
+        //: <!DOCTYPE html PUBLIC '...>
+        } else if (char === Character.GREATER_THAN) {
+            this.error(ErrorCode.ABRUPT_DOCTYPE_PUBLIC_IDENTIFIER);
+            this.parser.onDoctypePublicId?.(this.doctypeStart, this.index);
+            this.parser.onDoctypeQuirks?.();
+            this.declare();
+        }
+    }
+
+    AFTER_DOCTYPE_PUBLIC_IDENTIFIER(char) {
+        //: <!DOCTYPE html PUBLIC "..." ...
+        if (isWhitespace(char)) {
+            this.state = this.BETWEEN_DOCTYPE_IDENTIFIERS;
+
+        //: <!DOCTYPE html PUBLIC "...""... <!DOCTYPE html PUBLIC "...">
+        } else {
+            if (char === Character.QUOTATION_MARK || char === Character.APOSTROPHE) this.error(ErrorCode.MISSING_WHITESPACE_BETWEEN_DOCTYPE_PUBLIC_AND_SYSTEM_IDENTIFIERS);
+            this.state = this.BETWEEN_DOCTYPE_IDENTIFIERS;
+            this.state(char);
+        }
+    }
+
+    BETWEEN_DOCTYPE_IDENTIFIERS(char) {
+        //: <!DOCTYPE html PUBLIC "..." "...
+        if (char === Character.QUOTATION_MARK) {
+            this.state = this.DQ_DOCTYPE_SYSTEM_IDENTIFIER;
+            this.doctypeStart = this.index + 1;
+
+        //: <!DOCTYPE html PUBLIC "..." '...
+        } else if (char === Character.APOSTROPHE) {
+            this.state = this.SQ_DOCTYPE_SYSTEM_IDENTIFIER;
+            this.doctypeStart = this.index + 1;
+
+        //: <!DOCTYPE html PUBLIC "...">
+        } else if (char === Character.GREATER_THAN) {
+            this.declare();
+
+        //: <!DOCTYPE html PUBLIC "..." x...
+        } else if (!isWhitespace(char)) {
+            this.error(ErrorCode.MISSING_QUOTE_BEFORE_DOCTYPE_SYSTEM_IDENTIFIER);
+            this.parser.onDoctypeQuirks?.();
+            this.state = this.BOGUS_DOCTYPE;
+        }
+    }
+
+    AFTER_DOCTYPE_SYSTEM_KEYWORD(char) {
+        //: <!DOCTYPE html SYSTEM ...
+        if (isWhitespace(char)) {
+            this.state = this.BEFORE_DOCTYPE_SYSTEM_IDENTIFIER;
+
+        //: <!DOCTYPE html SYSTEM"... <!DOCTYPE html SYSTEM>
+        } else {
+            if (char === Character.QUOTATION_MARK || char === Character.APOSTROPHE) this.error(ErrorCode.MISSING_WHITESPACE_AFTER_DOCTYPE_SYSTEM_KEYWORD);
+            this.state = this.BEFORE_DOCTYPE_SYSTEM_IDENTIFIER;
+            this.state(char);
+        }
+    }
+
+    BEFORE_DOCTYPE_SYSTEM_IDENTIFIER(char) {
+        //: <!DOCTYPE html SYSTEM "...
+        if (char === Character.QUOTATION_MARK) {
+            this.state = this.DQ_DOCTYPE_SYSTEM_IDENTIFIER;
+            this.doctypeStart = this.index + 1;
+
+        //: <!DOCTYPE html SYSTEM '...
+        } else if (char === Character.APOSTROPHE) {
+            this.state = this.SQ_DOCTYPE_SYSTEM_IDENTIFIER;
+            this.doctypeStart = this.index + 1;
+
+        //: <!DOCTYPE html SYSTEM>
+        } else if (char === Character.GREATER_THAN) {
+            this.error(ErrorCode.MISSING_DOCTYPE_SYSTEM_IDENTIFIER);
+            this.parser.onDoctypeQuirks?.();
+            this.declare();
+
+        //: <!DOCTYPE html SYSTEM x...
+        } else if (!isWhitespace(char)) {
+            this.error(ErrorCode.MISSING_QUOTE_BEFORE_DOCTYPE_SYSTEM_IDENTIFIER);
+            this.parser.onDoctypeQuirks?.();
+            this.state = this.BOGUS_DOCTYPE;
+        }
+    }
+
+    DQ_DOCTYPE_SYSTEM_IDENTIFIER(char) {
+        //: <!DOCTYPE html SYSTEM "..."
+        if (char === Character.QUOTATION_MARK) {
+            this.parser.onDoctypeSystemId?.(this.doctypeStart, this.index);
+            this.state = this.AFTER_DOCTYPE_SYSTEM_IDENTIFIER;
+
+        //: <!DOCTYPE html SYSTEM "...>
+        } else if (char === Character.GREATER_THAN) {
+            this.error(ErrorCode.ABRUPT_DOCTYPE_SYSTEM_IDENTIFIER);
+            this.parser.onDoctypeSystemId?.(this.doctypeStart, this.index);
+            this.parser.onDoctypeQuirks?.();
+            this.declare();
+        }
+    }
+
+    SQ_DOCTYPE_SYSTEM_IDENTIFIER(char) {
+        //: <!DOCTYPE html SYSTEM '...'
+        if (char === Character.APOSTROPHE) {
+            this.parser.onDoctypeSystemId?.(this.doctypeStart, this.index);
+            this.state = this.AFTER_DOCTYPE_SYSTEM_IDENTIFIER;
+
+        //: <!DOCTYPE html SYSTEM '...>
+        } else if (char === Character.GREATER_THAN) {
+            this.error(ErrorCode.ABRUPT_DOCTYPE_SYSTEM_IDENTIFIER);
+            this.parser.onDoctypeSystemId?.(this.doctypeStart, this.index);
+            this.parser.onDoctypeQuirks?.();
+            this.declare();
+        }
+    }
+
+    AFTER_DOCTYPE_SYSTEM_IDENTIFIER(char) {
+        //: <!DOCTYPE html SYSTEM "...">
+        if (char === Character.GREATER_THAN) {
+            this.declare();
+
+        //: <!DOCTYPE html SYSTEM "..." x... Bogus, yet not quirky.
+        } else if (!isWhitespace(char)) {
+            this.error(ErrorCode.UNEXPECTED_CHARACTER_AFTER_DOCTYPE_SYSTEM_IDENTIFIER);
+            this.state = this.BOGUS_DOCTYPE;
+        }
+    }
+
+    BOGUS_DOCTYPE(char) {
+        //: ...>
+        if (char === Character.GREATER_THAN) {
+            this.declare();
         }
     }
 
     DASHLESS_COMMENT(char) {
         //: ...>
         if (char === Character.GREATER_THAN) {
-            this.parser.onComment?.(this.sectionStart + 1, this.index);
+            //: <![endif]--> closing lexed conditional markup, dashes included.
+            const trailing = this.options.conditionals === Conditionals.PARSED && !this.options.xml && this.buffer.slice(this.sectionStart + 1, this.index) === '[endif]--' ? 2 : 0;
+            this.parser.onComment?.(this.sectionStart + 1, this.index - trailing, this.sectionStart - 1, this.index + 1);
             this.state = this.PAGE;
             this.sectionStart = this.index + 1;
         }
@@ -587,7 +2050,7 @@ export default class Lexer {
         
         //: ...>
         } else if (char === Character.GREATER_THAN) {
-            this.parser.onDirective?.(this.sectionStart, this.index);
+            this.parser.onDirective?.(this.sectionStart + 1, this.index, this.sectionStart - 1, this.index + 1);
             this.state = this.PAGE;
             this.sectionStart = this.index + 1;
         }
@@ -596,7 +2059,7 @@ export default class Lexer {
     DIRECTIVE_END(char) {
         //: ...?>
         if (char === Character.GREATER_THAN) {
-            this.parser.onDirective?.(this.sectionStart, this.index - 1);
+            this.parser.onDirective?.(this.sectionStart + 1, this.index - 1, this.sectionStart - 1, this.index + 1);
             this.state = this.PAGE;
             this.sectionStart = this.index + 1;
         
@@ -611,6 +2074,9 @@ export default class Lexer {
     }
 
     BEFORE_ATTRIBUTE_NAME(char) {
+        //: {{...
+        if (this.templates?.root.children.has(char)) return this.openTemplate(char);
+
         //: <div ...
         if (isWhitespace(char)) {
             return;
@@ -621,18 +2087,27 @@ export default class Lexer {
 
         //: <div >
         } else if (char === Character.GREATER_THAN) {
-            this.parser.onStartTagClose?.();
-            this.state = this.sequence ? this.RAW_TEXT : this.PAGE;
+            this.parser.onStartTagClose?.(this.index, this.index + 1);
+            this.state = this.next;
             this.sectionStart = this.index + 1;
  
         //: <div a... <div =... <div "... <div '... <div <...
         } else {
+            if (char === Character.EQUALS) {
+                this.error(ErrorCode.UNEXPECTED_EQUALS_SIGN_BEFORE_ATTRIBUTE_NAME);
+            } else if (char === Character.QUOTATION_MARK || char === Character.APOSTROPHE || char === Character.LESS_THAN) {
+                this.error(ErrorCode.UNEXPECTED_CHARACTER_IN_ATTRIBUTE_NAME);
+            }
+
             this.state = this.ATTRIBUTE_NAME;
             this.sectionStart = this.index;
         }
     }
 
     ATTRIBUTE_NAME(char) {
+        //: {{...
+        if (this.templates?.root.children.has(char)) return this.openTemplate(char);
+
         //: <div class=...
         if (char === Character.EQUALS) {
             this.parser.onAttributeName?.(this.sectionStart, this.index);
@@ -647,8 +2122,8 @@ export default class Lexer {
         } else if (char === Character.GREATER_THAN) {
             this.parser.onAttributeName?.(this.sectionStart, this.index);
             this.parser.onAttributeEnd?.();
-            this.parser.onStartTagClose?.()
-            this.state = this.sequence ? this.RAW_TEXT : this.PAGE;
+            this.parser.onStartTagClose?.(this.index, this.index + 1);
+            this.state = this.next;
             this.sectionStart = this.index + 1;
 
         //: <script async/...
@@ -656,10 +2131,17 @@ export default class Lexer {
             this.parser.onAttributeName?.(this.sectionStart, this.index);
             this.parser.onAttributeEnd?.();
             this.state = this.SELF_CLOSING_TAG;
+
+        //: <div a"... <div a'... <div a<...
+        } else if (char === Character.QUOTATION_MARK || char === Character.APOSTROPHE || char === Character.LESS_THAN) {
+            this.error(ErrorCode.UNEXPECTED_CHARACTER_IN_ATTRIBUTE_NAME);
         }
     }
 
     AFTER_ATTRIBUTE_NAME(char) {
+        //: {{...
+        if (this.templates?.root.children.has(char)) return this.openTemplate(char);
+
         //: <script async  ...
         if (isWhitespace(char)) {
             return;
@@ -672,8 +2154,8 @@ export default class Lexer {
             //: <script async >
         } else if (char === Character.GREATER_THAN) {
             this.parser.onAttributeEnd?.();
-            this.parser.onStartTagClose?.()
-            this.state = this.sequence ? this.RAW_TEXT : this.PAGE;
+            this.parser.onStartTagClose?.(this.index, this.index + 1);
+            this.state = this.next;
             this.sectionStart = this.index + 1;
 
         //: <div class =...
@@ -682,6 +2164,10 @@ export default class Lexer {
 
         //: <script async d...
         } else {
+            if (char === Character.QUOTATION_MARK || char === Character.APOSTROPHE || char === Character.LESS_THAN) {
+                this.error(ErrorCode.UNEXPECTED_CHARACTER_IN_ATTRIBUTE_NAME);
+            }
+
             this.parser.onAttributeEnd?.();
             this.state = this.ATTRIBUTE_NAME;
             this.sectionStart = this.index;
@@ -689,6 +2175,9 @@ export default class Lexer {
     }
 
     BEFORE_ATTRIBUTE_VALUE(char) {
+        //: {{...
+        if (this.templates?.root.children.has(char)) return this.openTemplate(char);
+
         //: <div class= ...
         if (isWhitespace(char)) {
             return;
@@ -703,14 +2192,16 @@ export default class Lexer {
 
         //: <div class=>
         } else if (char === Character.GREATER_THAN) {
+            this.error(ErrorCode.MISSING_ATTRIBUTE_VALUE);
             this.parser.onAttributeEnd?.();
-            this.parser.onStartTagClose?.();
-            this.state = this.sequence ? this.RAW_TEXT : this.PAGE;
+            this.parser.onStartTagClose?.(this.index, this.index + 1);
+            this.state = this.next;
             
-        //: <div class=a...
+        //: <div class=a... <div class=&...
         } else {
             this.state = this.NQ_ATTRIBUTE_VALUE;
             this.sectionStart = this.index;
+            this.state(char);
             return;
         }
 
@@ -718,14 +2209,18 @@ export default class Lexer {
     }
 
     DQ_ATTRIBUTE_VALUE(char) {
+        //: {{...
+        if (this.templates?.root.children.has(char)) return this.openTemplate(char);
+
         //: <div class="main"...
         if (char === Character.QUOTATION_MARK) {
             if (this.sectionStart !== this.index) {
                 this.parser.onAttributeValue?.(this.sectionStart, this.index);
-                this.parser.onAttributeEnd?.(Quote.DOUBLE);
             }
 
-            this.state = this.BEFORE_ATTRIBUTE_NAME;
+            this.parser.onAttributeEnd?.(Quote.DOUBLE, this.index);
+
+            this.state = this.AFTER_ATTRIBUTE_VALUE;
 
         //: <div class="&...
         } else if (char === Character.AMPERSAND) {
@@ -735,14 +2230,18 @@ export default class Lexer {
     }
 
     SQ_ATTRIBUTE_VALUE(char) {
+        //: {{...
+        if (this.templates?.root.children.has(char)) return this.openTemplate(char);
+
         //: <div class='main'...
         if (char === Character.APOSTROPHE) {
             if (this.sectionStart !== this.index) {
                 this.parser.onAttributeValue?.(this.sectionStart, this.index);
-                this.parser.onAttributeEnd?.(Quote.SINGLE);
             }
 
-            this.state = this.BEFORE_ATTRIBUTE_NAME;
+            this.parser.onAttributeEnd?.(Quote.SINGLE, this.index);
+
+            this.state = this.AFTER_ATTRIBUTE_VALUE;
         
         //: <div class='&...
         } else if (char === Character.AMPERSAND) {
@@ -752,13 +2251,17 @@ export default class Lexer {
     }
 
     NQ_ATTRIBUTE_VALUE(char) {
+        //: {{...
+        if (this.templates?.root.children.has(char)) return this.openTemplate(char);
+
         //: <div class=main ...
         if (isWhitespace(char)) {
             if (this.sectionStart !== this.index) {
                 this.parser.onAttributeValue?.(this.sectionStart, this.index);
-                this.parser.onAttributeEnd?.(Quote.NULLUM);
             }
 
+            this.parser.onAttributeEnd?.(Quote.NULLUM, this.index);
+
             this.state = this.BEFORE_ATTRIBUTE_NAME;
         
         //: <div class=&...
@@ -770,29 +2273,61 @@ export default class Lexer {
         } else if (char === Character.GREATER_THAN) {
             if (this.sectionStart !== this.index) {
                 this.parser.onAttributeValue?.(this.sectionStart, this.index);
-                this.parser.onAttributeEnd?.();
             }
 
-            this.parser.onStartTagClose?.();
-            this.state = this.sequence ? this.RAW_TEXT : this.PAGE;
+            this.parser.onAttributeEnd?.(Quote.NULLUM, this.index);
+            this.parser.onStartTagClose?.(this.index, this.index + 1);
+            this.state = this.next;
             this.sectionStart = this.index + 1;
+
+        //: <div class=a"... <div class=a'... <div class=a<... <div class=a=... <div class=a`...
+        } else if (
+            char === Character.QUOTATION_MARK || char === Character.APOSTROPHE || char === Character.LESS_THAN ||
+            char === Character.EQUALS || char === Character.GRAVE_ACCENT
+        ) {
+            this.error(ErrorCode.UNEXPECTED_CHARACTER_IN_UNQUOTED_ATTRIBUTE_VALUE);
         }
 
         //: Self-Closing case ignored.
     }
 
+    AFTER_ATTRIBUTE_VALUE(char) {
+        //: {{...
+        if (this.templates?.root.children.has(char)) return this.openTemplate(char);
+
+        //: <div class="main" ...
+        if (isWhitespace(char)) {
+            this.state = this.BEFORE_ATTRIBUTE_NAME;
+
+        //: <div class="main"/... <div class="main">
+        } else if (char === Character.SLASH || char === Character.GREATER_THAN) {
+            this.state = this.BEFORE_ATTRIBUTE_NAME;
+            this.state(char);
+
+        //: <div class="main"id...
+        } else {
+            this.error(ErrorCode.MISSING_WHITESPACE_BETWEEN_ATTRIBUTES);
+            this.state = this.BEFORE_ATTRIBUTE_NAME;
+            this.state(char);
+        }
+    }
+
     BEFORE_ATTRIBUTE_ENTITY(char) {
         //: &a... &#...
-        if (isAlphanumeric(char) || char === Character.NUMBER) {
+        if (isAlphanumeric(char) || char === Character.NUMBER || this.options.xml && isNamePunctuation(char)) {
             if (this.sectionStart !== this.index - 1) {
                 this.parser.onAttributeValue?.(this.sectionStart, this.index - 1);
             }
 
             this.state = this.ATTRIBUTE_ENTITY;
             this.sectionStart = this.index;
+            this.reference = char === Character.NUMBER || this.options.xml ? -1 : step(ROOT, char);
+            this.referenceEnd = -1;
+            this.legacyReference = -1;
 
         //: & ...
         } else {
+            if (this.options.xml) this.error(ErrorCode.UNESCAPED_AMPERSAND, this.index - 1);
             this.state = this.previous;
             this.state(char); 
         }
@@ -800,11 +2335,18 @@ export default class Lexer {
 
     ATTRIBUTE_ENTITY(char) {
         //: &a...
-        if (isAlphanumeric(char)) {
+        if (this.walk(char)) {
             return;
 
+        //: &notit... &copy2024... Consumed again past the reference.
+        } else if (this.referenceEnd >= 0) {
+            this.parser.onAttributeEntity?.(this.sectionStart, this.referenceEnd, this.legacyReference);
+            this.state = this.previous;
+            this.sectionStart = this.referenceEnd;
+            this.index = this.referenceEnd - 1;
+
         } else {
-            this.parser.onAttributeEntity?.(this.sectionStart, this.index);
+            this.parser.onAttributeEntity?.(this.sectionStart, this.index, this.reference);
             this.state = this.previous;
 
             //: &a;
@@ -820,34 +2362,56 @@ export default class Lexer {
     }
 
     SELF_CLOSING_TAG(char) {
-        //: <img/>
+        //: <img/> <script/>
         if (char === Character.GREATER_THAN) {
-            this.parser.onSelfClosingTag?.();
-            this.parser.onStartTagClose?.(this.sectionStart, this.index - 1);
-            this.state = this.PAGE;
+            const closed = this.parser.onSelfClosingTag?.() !== false;
+            this.parser.onStartTagClose?.(this.index - 1, this.index + 1);
+            //: An element left open takes its content.
+            this.state = closed ? this.PAGE : this.next;
             this.sectionStart = this.index + 1;
 
         //: <img/s...
         } else if (!isWhitespace(char)) {
+            this.error(ErrorCode.UNEXPECTED_SOLIDUS_IN_TAG);
             this.state = this.ATTRIBUTE_NAME;
             this.sectionStart = this.index;
         }
     }
 
     END_TAG_OPEN(char) {
-        //: </d...
-        if (isAlphabetic(char)) {
+        //: </d... </_...
+        if (this.options.xml ? isNameStart(char) : isAlphabetic(char)) {
             if (this.sectionStart !== this.index - 2) {
                 this.parser.onText?.(this.sectionStart, this.index - 2);
-                this.parser.onTextEnd?.();
             }
 
+            this.parser.onTextEnd?.(this.index - 2);
+
             this.state = this.END_TAG_NAME;
+            this.tagStart = this.index - 2;
             this.sectionStart = this.index;
 
-        //: </<... </>... </0...
-        } else if (!isWhitespace(char)) {
-            this.state = this.TEXT;
+        //: </>
+        } else if (char === Character.GREATER_THAN) {
+            this.error(ErrorCode.MISSING_END_TAG_NAME);
+            if (this.sectionStart !== this.index - 2) {
+                this.parser.onText?.(this.sectionStart, this.index - 2);
+            }
+
+            this.parser.onTextEnd?.(this.index - 2);
+            this.state = this.PAGE;
+            this.sectionStart = this.index + 1;
+
+        //: </<... </ ... </0...
+        } else {
+            this.error(ErrorCode.INVALID_FIRST_CHARACTER_OF_TAG_NAME);
+            if (this.sectionStart !== this.index - 2) {
+                this.parser.onText?.(this.sectionStart, this.index - 2);
+            }
+
+            this.parser.onTextEnd?.(this.index - 2);
+            this.state = this.DASHLESS_COMMENT;
+            this.sectionStart = this.index - 1;
         }
     }
 
@@ -855,6 +2419,7 @@ export default class Lexer {
         //: </div>
         if (char === Character.GREATER_THAN) {
             this.parser.onEndTagName?.(this.sectionStart, this.index);
+            this.parser.onEndTagClose?.(this.index, this.index + 1);
             this.state = this.PAGE;
             this.sectionStart = this.index + 1;
 
@@ -862,21 +2427,40 @@ export default class Lexer {
         } else if (isWhitespace(char)) {
             this.parser.onEndTagName?.(this.sectionStart, this.index);
             this.state = this.AFTER_END_TAG_NAME;
-        }
 
-        //: Self-Closing case ignored.
+        //: </div/...
+        } else if (char === Character.SLASH) {
+            this.parser.onEndTagName?.(this.sectionStart, this.index);
+            this.state = this.AFTER_END_TAG_NAME;
+            this.state(char);
+        }
     }
 
     AFTER_END_TAG_NAME(char) {
         //: </div ...>
         if (char === Character.GREATER_THAN) {
+            this.parser.onEndTagClose?.(this.index, this.index + 1);
             this.state = this.PAGE;
             this.sectionStart = this.index + 1;
+
+        //: </div /...
+        } else if (char === Character.SLASH) {
+            this.error(ErrorCode.END_TAG_WITH_TRAILING_SOLIDUS);
+
+        //: </div a...
+        } else if (!isWhitespace(char)) {
+            this.error(ErrorCode.END_TAG_WITH_ATTRIBUTES);
+            this.state = this.END_TAG_ATTRIBUTES;
+        }
+    }
+
+    END_TAG_ATTRIBUTES(char) {
+        //: </div a...>
+        if (char === Character.GREATER_THAN) {
+            this.state = this.AFTER_END_TAG_NAME;
+            this.state(char);
         }
     }
 }
 
 //: FIXME Solve the code repetition while retaining performance. More prominently, across attribute states.
-//: FIXME Try to eliminate the use of next state as it's only used in START_SEQUENCE_MATCH.
-//: FIXME Rework decoding and try to short-circuit on reference match.
-//: FIXME Decide on whether to switch to tree sequence matching or settle for additional states.
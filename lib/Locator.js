@@ -0,0 +1,77 @@
+/**
+ * @typedef Position
+ * @property {number} offset Input offset.
+ * @property {number} line One-based line number.
+ * @property {number} column One-based column number.
+ */
+
+/**
+ * @typedef Span
+ * @property {Position} start Inclusive.
+ * @property {Position} end Exclusive.
+ */
+
+/** Line feed. @type {string} */
+const LINE_FEED = '\n';
+
+/**
+ * Resolves input offsets into line and column positions.
+ */
+export default class Locator {
+    /** Input offsets at which lines start. @type {number[]} */
+    lines;
+
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     *
+     */
+    reset() {
+        this.lines = [0];
+    }
+
+    /**
+     * Register the line breaks of the next chunk of input.
+     *
+     * @param {string} chunk
+     * @param {number} offset Input offset of the chunk's first character.
+     */
+    feed(chunk, offset) {
+        for (let index = chunk.indexOf(LINE_FEED); index !== -1; index = chunk.indexOf(LINE_FEED, index + 1)) {
+            this.lines.push(offset + index + 1);
+        }
+    }
+
+    /**
+     *
+     *
+     * @param {number} offset
+     * @returns {Position}
+     */
+    position(offset) {
+        const { lines } = this;
+        let low = 0, high = lines.length - 1;
+
+        //: Last line starting at or before the offset.
+        while (low < high) {
+            const middle = (low + high + 1) >>> 1;
+            if (lines[middle] <= offset) low = middle;
+            else high = middle - 1;
+        }
+
+        return { offset, line: low + 1, column: offset - lines[low] + 1 };
+    }
+
+    /**
+     *
+     *
+     * @param {number} start
+     * @param {number} end
+     * @returns {Span}
+     */
+    span(start, end) {
+        return { start: this.position(start), end: this.position(end) };
+    }
+}
@@ -0,0 +1,95 @@
+import { Writable, Transform } from 'node:stream';
+import Feed from './Feed.js';
+import { defer } from './WebStream.js';
+
+/**
+ * Node.js writable end of the parser, taking string or byte chunks.
+ */
+export class DocumentWritable extends Writable {
+    /** Settles with the document once the stream finishes. @readonly @type {Promise<import('./Handler.js').Tag>} */
+    document;
+    /** @protected @type {Feed} */
+    feed;
+    /** @protected @type {ReturnType<typeof defer>} */
+    settle;
+
+    /**
+     * @param {import('./WebStream.js').StreamOptions} [options = {}] 
+     * @param {import('node:stream').WritableOptions} [streamOptions = {}] 
+     */
+    constructor(options = {}, streamOptions = {}) {
+        super({ ...streamOptions, decodeStrings: false, objectMode: false });
+        this.feed = new Feed(options);
+        this.settle = defer();
+        this.document = this.settle.promise;
+    }
+
+    _write(chunk, encoding, callback) {
+        try {
+            this.feed.write(chunk);
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _final(callback) {
+        try {
+            this.settle.resolve(this.feed.end());
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _destroy(error, callback) {
+        if (error) this.settle.reject(error);
+        callback(error);
+    }
+}
+
+/**
+ * Node.js transform from markup chunks to handler events (object mode readable side).
+ */
+export class EventTransform extends Transform {
+    /** Settles with the document once the stream finishes. @readonly @type {Promise<import('./Handler.js').Tag>} */
+    document;
+    /** @protected @type {Feed} */
+    feed;
+    /** @protected @type {ReturnType<typeof defer>} */
+    settle;
+
+    /**
+     * @param {import('./WebStream.js').StreamOptions} [options = {}] 
+     * @param {import('node:stream').TransformOptions} [streamOptions = {}] 
+     */
+    constructor(options = {}, streamOptions = {}) {
+        super({ ...streamOptions, decodeStrings: false, writableObjectMode: false, readableObjectMode: true });
+        this.feed = new Feed(options, event => this.push(event));
+        this.settle = defer();
+        this.document = this.settle.promise;
+    }
+
+    _transform(chunk, encoding, callback) {
+        try {
+            this.feed.write(chunk);
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _flush(callback) {
+        try {
+            this.settle.resolve(this.feed.end());
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _destroy(error, callback) {
+        if (error) this.settle.reject(error);
+        callback(error);
+    }
+}
@@ -0,0 +1,85 @@
+/** WHATWG parse error codes. @enum {string} */
+export const ErrorCode = Object.freeze({
+    //: Tokenization
+    ABRUPT_CLOSING_OF_EMPTY_COMMENT: 'abrupt-closing-of-empty-comment',
+    ABRUPT_DOCTYPE_PUBLIC_IDENTIFIER: 'abrupt-doctype-public-identifier',
+    ABRUPT_DOCTYPE_SYSTEM_IDENTIFIER: 'abrupt-doctype-system-identifier',
+    ABSENCE_OF_DIGITS_IN_NUMERIC_CHARACTER_REFERENCE: 'absence-of-digits-in-numeric-character-reference',
+    CDATA_IN_HTML_CONTENT: 'cdata-in-html-content',
+    CHARACTER_REFERENCE_OUTSIDE_UNICODE_RANGE: 'character-reference-outside-unicode-range',
+    CONTROL_CHARACTER_REFERENCE: 'control-character-reference',
+    DUPLICATE_ATTRIBUTE: 'duplicate-attribute',
+    END_TAG_WITH_ATTRIBUTES: 'end-tag-with-attributes',
+    END_TAG_WITH_TRAILING_SOLIDUS: 'end-tag-with-trailing-solidus',
+    EOF_BEFORE_TAG_NAME: 'eof-before-tag-name',
+    EOF_IN_CDATA: 'eof-in-cdata',
+    EOF_IN_COMMENT: 'eof-in-comment',
+    EOF_IN_DOCTYPE: 'eof-in-doctype',
+    EOF_IN_SCRIPT_HTML_COMMENT_LIKE_TEXT: 'eof-in-script-html-comment-like-text',
+    EOF_IN_TAG: 'eof-in-tag',
+    INCORRECTLY_CLOSED_COMMENT: 'incorrectly-closed-comment',
+    INCORRECTLY_OPENED_COMMENT: 'incorrectly-opened-comment',
+    INVALID_CHARACTER_SEQUENCE_AFTER_DOCTYPE_NAME: 'invalid-character-sequence-after-doctype-name',
+    INVALID_FIRST_CHARACTER_OF_TAG_NAME: 'invalid-first-character-of-tag-name',
+    MISSING_ATTRIBUTE_VALUE: 'missing-attribute-value',
+    MISSING_DOCTYPE_NAME: 'missing-doctype-name',
+    MISSING_DOCTYPE_PUBLIC_IDENTIFIER: 'missing-doctype-public-identifier',
+    MISSING_DOCTYPE_SYSTEM_IDENTIFIER: 'missing-doctype-system-identifier',
+    MISSING_END_TAG_NAME: 'missing-end-tag-name',
+    MISSING_QUOTE_BEFORE_DOCTYPE_PUBLIC_IDENTIFIER: 'missing-quote-before-doctype-public-identifier',
+    MISSING_QUOTE_BEFORE_DOCTYPE_SYSTEM_IDENTIFIER: 'missing-quote-before-doctype-system-identifier',
+    MISSING_SEMICOLON_AFTER_CHARACTER_REFERENCE: 'missing-semicolon-after-character-reference',
+    MISSING_WHITESPACE_AFTER_DOCTYPE_PUBLIC_KEYWORD: 'missing-whitespace-after-doctype-public-keyword',
+    MISSING_WHITESPACE_AFTER_DOCTYPE_SYSTEM_KEYWORD: 'missing-whitespace-after-doctype-system-keyword',
+    MISSING_WHITESPACE_BEFORE_DOCTYPE_NAME: 'missing-whitespace-before-doctype-name',
+    MISSING_WHITESPACE_BETWEEN_ATTRIBUTES: 'missing-whitespace-between-attributes',
+    MISSING_WHITESPACE_BETWEEN_DOCTYPE_PUBLIC_AND_SYSTEM_IDENTIFIERS: 'missing-whitespace-between-doctype-public-and-system-identifiers',
+    NONCHARACTER_CHARACTER_REFERENCE: 'noncharacter-character-reference',
+    NULL_CHARACTER_REFERENCE: 'null-character-reference',
+    SURROGATE_CHARACTER_REFERENCE: 'surrogate-character-reference',
+    UNEXPECTED_CHARACTER_AFTER_DOCTYPE_SYSTEM_IDENTIFIER: 'unexpected-character-after-doctype-system-identifier',
+    UNEXPECTED_CHARACTER_IN_ATTRIBUTE_NAME: 'unexpected-character-in-attribute-name',
+    UNEXPECTED_CHARACTER_IN_UNQUOTED_ATTRIBUTE_VALUE: 'unexpected-character-in-unquoted-attribute-value',
+    UNEXPECTED_EQUALS_SIGN_BEFORE_ATTRIBUTE_NAME: 'unexpected-equals-sign-before-attribute-name',
+    UNEXPECTED_NULL_CHARACTER: 'unexpected-null-character',
+    UNEXPECTED_QUESTION_MARK_INSTEAD_OF_TAG_NAME: 'unexpected-question-mark-instead-of-tag-name',
+    UNEXPECTED_SOLIDUS_IN_TAG: 'unexpected-solidus-in-tag',
+    UNKNOWN_NAMED_CHARACTER_REFERENCE: 'unknown-named-character-reference',
+
+    //: Tree construction
+    END_TAG_WITHOUT_MATCHING_OPEN_ELEMENT: 'end-tag-without-matching-open-element',
+    NON_VOID_HTML_ELEMENT_START_TAG_WITH_TRAILING_SOLIDUS: 'non-void-html-element-start-tag-with-trailing-solidus',
+
+    //: XML well-formedness
+    ATTRIBUTE_WITHOUT_VALUE: 'attribute-without-value',
+    MISMATCHED_END_TAG: 'mismatched-end-tag',
+    MULTIPLE_ROOT_ELEMENTS: 'multiple-root-elements',
+    UNCLOSED_ELEMENT: 'unclosed-element',
+    UNESCAPED_AMPERSAND: 'unescaped-ampersand',
+    UNQUOTED_ATTRIBUTE_VALUE: 'unquoted-attribute-value',
+});
+
+/**
+ * Recoverable markup error, reported rather than thrown.
+ */
+export default class ParseError extends Error {
+    /** @readonly @type {ErrorCode} */
+    code;
+    /** Input offset. @readonly @type {number} */
+    offset;
+    /** Line and column, when locations are tracked. @readonly @type {import('./Locator.js').Position | undefined} */
+    position;
+
+    /**
+     * @param {ErrorCode} code
+     * @param {number} offset
+     * @param {import('./Locator.js').Position} [position]
+     */
+    constructor(code, offset, position) {
+        super(position ? `${code} (${position.line}:${position.column})` : `${code} (${offset})`);
+        this.name = 'ParseError';
+        this.code = code;
+        this.offset = offset;
+        this.position = position;
+    }
+}
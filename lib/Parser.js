@@ -1,4 +1,112 @@
-import decode from './Decoder.js';
+import decode, { characterOf } from './Decoder.js';
+import ParseError, { ErrorCode } from './ParseError.js';
+import { Quote } from './Lexer.js';
+import { Mode, quirks } from './Doctype.js';
+
+/** Semicolon character code, terminating character references. @type {number} */
+const SEMI_COLON = 0x3b;
+
+
+/** Number sign character code, starting numeric character references. @type {number} */
+const NUMBER = 0x23;
+
+/** Equals sign character code, keeping semicolon-less references in attribute values as written. @type {number} */
+const EQUALS = 0x3d;
+
+/** Greater-than sign character code, closing comments. @type {number} */
+const GREATER_THAN = 0x3e;
+
+/** NULL characters, replaced in values. @type {RegExp} */
+const NULL = /\0/g;
+
+/** Replacement character, standing in for NULL characters. @type {string} */
+const REPLACEMENT_CHARACTER = '\uFFFD';
+
+/** XML predefined entities. @type {Map<string, string>} */
+const predefinedEntities = new Map([
+    ['lt', '<'],
+    ['gt', '>'],
+    ['amp', '&'],
+    ['apos', "'"],
+    ['quot', '"'],
+]);
+
+/** Internal DTD subset general entity declaration. @type {RegExp} */
+const EntityDeclaration = /<!ENTITY\s+([^\s%"'>]+)\s+(?:"([^"]*)"|'([^']*)')\s*>/g;
+
+/** Character or entity reference, within an entity value. @type {RegExp} */
+const Reference = /&(#?[\w.:-]+);/g;
+
+/** Leading numeric reference, the lexer running it on through letters. @type {RegExp} */
+const NumericReference = /^#(?:[xX][\da-fA-F]*|\d*)/;
+
+/** Leading processing instruction target. @type {RegExp} */
+const Target = /^(\S*)\s*/;
+
+/** Processing instruction pseudo-attribute and its leading whitespace, matched from the last one on. @type {RegExp} */
+const PseudoAttribute = /(\s*)([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+
+/** Conditional comment opening, up to the markup it hides when kept in. @type {RegExp} */
+const ConditionalStart = /^\[if\s+([^\]]*?)\s*\](?:>([\s\S]*)<!\[endif\]|><!)?$/;
+
+/** Conditional comment closing, as a comment or as a bogus comment. @type {RegExp} */
+const ConditionalEnd = /^(?:<!)?\[endif\](?:--)?$/;
+
+/** Comment openings by length, the bogus one lacking dashes. @type {Record<number, string>} */
+const commentOpenings = { 2: '<!', 4: '<!--' };
+
+/** Comment closings by length, as the lexer ends them. @type {Record<number, string>} */
+const commentClosings = { 1: '>', 3: '-->', 4: '--!>' };
+
+/**
+ * 
+ * 
+ * @param {number} char 
+ * @returns {boolean}
+ */
+function isAlphanumeric(char) {
+    return char >= 0x30 && char <= 0x39 || (char |= 0x20) >= 0x61 && char <= 0x7a;
+}
+
+/**
+ * Resolve the character and entity references of a value, leaving unknown ones as they are.
+ * 
+ * @param {string} value 
+ * @param {Map<string, string>} entities 
+ * @returns {string}
+ */
+function resolve(value, entities) {
+    return value.replace(Reference, (reference, entity) => {
+        return (entity.charCodeAt(0) === NUMBER ? decode(entity) : entities.get(entity)) ?? reference;
+    });
+}
+
+/**
+ * Read processing instruction data made of whitespace-separated pseudo-attributes.
+ * 
+ * @param {string} data 
+ * @returns {Map<string, string> | null} Null if the data is anything else.
+ */
+function pseudoAttributes(data) {
+    data = data.trimEnd();
+    if (!data) return null;
+
+    /** @type {Map<string, string>} */
+    const attributes = new Map();
+    PseudoAttribute.lastIndex = 0;
+
+    while (PseudoAttribute.lastIndex < data.length) {
+        const match = PseudoAttribute.exec(data);
+
+        //: a="1"b="2"
+        if (!match || attributes.size && !match[1]) return null;
+
+        const [, , name, double, single] = match;
+        if (!attributes.has(name)) attributes.set(name, resolve(double ?? single, predefinedEntities));
+    }
+
+    return attributes;
+}
 
 /** @type {Set<string>} */
 const pTag = new Set([
@@ -90,8 +198,8 @@ const implicitClose = new Map([
     ['figcaption', pTag],
 ]);
 
-/** @type {Set<string>} */
-const emptyElements = new Set([
+/** Void elements, never bearing children. @type {Set<string>} */
+export const emptyElements = new Set([
     'area',
     'base', 'basefont', 'br',
     'col', 'command',
@@ -108,30 +216,139 @@ const emptyElements = new Set([
     'wbr',
 ]);
 
+/** Duplicate attribute policies, each duplicate being reported either way. @enum {string} */
+export const Duplicate = Object.freeze({
+    /** Keep the first value, as HTML does. */
+    FIRST: 'first',
+    /** Keep the last value, in place of the first. */
+    LAST: 'last',
+    /** Keep every value, listed in source order. */
+    ALL: 'all',
+});
+
+/**
+ * Parsed attributes, in source order. Names repeated under `Duplicate.ALL` get their values listed.
+ * @typedef {Map<string, string | string[]>} Attributes
+ */
+
+/** Foreign content roots. @type {Set<string>} */
+const foreignElements = new Set([
+    'math',
+    'svg',
+]);
+
+/** Foreign elements holding HTML content. @type {Set<string>} */
+const integrationPoints = new Set([
+    'annotation-xml',
+    'desc',
+    'foreignobject',
+    'mi', 'mn', 'mo', 'ms', 'mtext',
+    'title',
+]);
+
+/** Self-closing syntax policies, void elements being empty either way. @enum {string} */
+export const SelfClosing = Object.freeze({
+    /** Honor it on SVG and MathML elements, as HTML does. */
+    FOREIGN: 'foreign',
+    /** Honor it on custom elements too. */
+    CUSTOM: 'custom',
+    /** Honor it on any element. */
+    ALL: 'all',
+});
+
+/**
+ * @typedef ParserOptions
+ * @property {boolean} [xml] Parse XML: case-sensitive names, self-closing tags, no implied tags, XML entities and well-formedness errors.
+ * @property {Duplicate} [duplicates = Duplicate.FIRST] Duplicate attributes policy.
+ * @property {SelfClosing} [selfClosing = SelfClosing.FOREIGN] Elements closed by a trailing solidus, always in XML.
+ * @property {import('./Lexer.js').Conditionals} [conditionals] Turn IE conditional comments into conditional nodes, in HTML. Hidden markup becomes children if the lexer parses it.
+ * @property {boolean} [lossless] Pass the source spelling of nodes along, and text as is. Needs a lossless lexer.
+ * @property {string} [context] Element the input is a fragment of, standing below the open elements without being one.
+ */
+
+/**
+ * @typedef {import('./Locator.js').Span} Span
+ */
+
+/**
+ * @typedef AttributeLocation
+ * @property {Span} name
+ * @property {Span} [value]
+ */
+
+/**
+ * @typedef TagLocation
+ * @property {import('./Locator.js').Position} start Start tag start.
+ * @property {import('./Locator.js').Position} end End tag end, once closed.
+ * @property {Span} startTag
+ * @property {Span} [endTag]
+ * @property {Map<string, AttributeLocation>} attributes Duplicates located by the attribute kept.
+ */
+
+/**
+ * Attribute as written, in lossless mode.
+ * 
+ * @typedef RawAttribute
+ * @property {string} before Whitespace preceding it.
+ * @property {string} source Name, equals sign and value, quotes included.
+ * @property {string} name As parsed.
+ * @property {string} value As parsed, references decoded.
+ * @property {import('./Lexer.js').Quote} [quote] Absent for valueless attributes.
+ */
+
 /**
+ * Tag as written, in lossless mode.
+ * 
+ * @typedef RawTag
+ * @property {string} source Start tag.
+ * @property {string} name Start tag name as written.
+ * @property {RawAttribute[]} attributes In source order, duplicates included.
+ * @property {Attributes} parsed Attributes as parsed, to tell edits.
+ * @property {string} end Start tag ending: trailing whitespace, solidus and `>`.
+ * @property {string} [endTag] End tag, if explicit.
+ */
+
+/**
+ * Locations are only passed when tracked, sources in lossless mode.
+ * 
  * @typedef Handler
- * @property {(name: string, attributes: Record<string, string>, selfClosing: boolean) => any} onStartTag
- * @property {(explicit: boolean) => any} onEndTag
+ * @property {(name: string, attributes: Attributes, empty: boolean, location?: TagLocation, source?: RawTag, selfClosing?: boolean) => any} onStartTag
+ * @property {(explicit: boolean, location?: Span, source?: string) => any} onEndTag
  * 
- * @property {(value: string) => any} onText
- * @property {(value: string) => any} onComment
- * @property {(value: string) => any} onCDATA
- * @property {(value: string) => any} onDoctype
- * @property {(value: string) => any} onDeclaration
+ * @property {(value: string, location?: Span, source?: string) => any} onText
+ * @property {(value: string, location?: Span, source?: string) => any} onComment
+ * @property {(value: string, location?: Span, source?: string) => any} onCDATA
+ * @property {(value: string, doctype: import('./Doctype.js').DoctypeToken, location?: Span, source?: string) => any} onDoctype
+ * @property {(value: string, location?: Span, source?: string) => any} onDeclaration
+ * @property {(target: string, data: string, location?: Span, source?: string, attributes?: Map<string, string> | null) => any} onDirective
+ * @property {(open: string, value: string, close: string, location?: Span, source?: string) => any} onTemplate
+ * @property {(condition: string, revealed: boolean, open: string, markup: string | null, location?: TagLocation) => any} onConditionalStart
+ * @property {(close: string, location?: Span) => any} onConditionalEnd
+ * 
+ * @property {(encoding: string, confidence: import('./Sniffer.js').Confidence) => any} onEncoding
+ * @property {(mode: Mode) => any} onMode
  * 
  * @property {() => any} onReset
- * @property {(error: Error) => any} onError
+ * @property {(error: ParseError) => any} onError
  * @property {() => import('./index.js').Tag} onEnd
  */
 
 export default class Parser {
     /** @protected @type {Partial<Handler>} */
     handler;
+    /** @protected @type {ParserOptions} */
+    options;
 
     /** @protected @type {string} */
     buffer;
+    /** Input offset of the buffer's first character. @protected @type {number} */
+    offset;
+    /** Set by the lexer when locations are tracked. @type {import('./Locator.js').default | null} */
+    locator;
     /** @protected @type {string[]} */
     stack;
+    /** Stack depths open conditional comments were opened at. @protected @type {number[]} */
+    conditionals;
 
     /** @protected @type {string[]} */
     text;
@@ -141,15 +358,48 @@ export default class Parser {
     attributeName;
     /** @protected @type {string[]} */
     attributeValue;
-    /** @protected @type {Record<string, string>} */
+    /** @protected @type {Attributes} */
     attributes;
+    /** @protected @type {string | null} */
+    endTagName;
+    /** Whether the current start tag has a trailing solidus. @protected @type {boolean} */
+    selfClosing;
+    /** Whether the root element has started, in XML. @protected @type {boolean} */
+    rooted;
+    /** Whether the document mode is yet to settle, in HTML. @protected @type {boolean} */
+    initial;
+    /** Entities known to XML references. @protected @type {Map<string, string>} */
+    entities;
+    /** Doctype being lexed, in HTML. @protected @type {import('./Doctype.js').DoctypeToken} */
+    doctypeToken;
+
+    /** Text start offset. @protected @type {number} */
+    textStart;
+    /** Tag start offset. @protected @type {number} */
+    tagStart;
+    /** Attribute name start offset. @protected @type {number} */
+    nameStart;
+    /** Attribute name end offset. @protected @type {number} */
+    nameEnd;
+    /** Attribute value start offset, negative until the first value section. @protected @type {number} */
+    valueStart;
+    /** @protected @type {Map<string, AttributeLocation>} */
+    attributeLocations;
+    /** Start tag name as written, in lossless mode. @protected @type {string} */
+    rawName;
+    /** End offset of the last attribute, or of the tag name. @protected @type {number} */
+    rawEnd;
+    /** Attributes as written, in lossless mode. @protected @type {RawAttribute[]} */
+    rawAttributes;
     
     /**
      * @param {Partial<Handler>} [handler = {}]
      * @param {boolean} [reset = true]
+     * @param {ParserOptions} [options = {}]
      */
-    constructor(handler = {}, reset = true) {
+    constructor(handler = {}, reset = true, options = {}) {
         this.handler = handler;
+        this.options = options;
         if (reset) this.onReset();
     }
 
@@ -159,11 +409,14 @@ export default class Parser {
      * @returns {import('./index.js').Tag}
      */
     onEnd() {
+        this.settle(Mode.QUIRKS);
+
         while (this.stack.length) {
-            this.handler.onEndTag?.(false);
-            this.stack.pop();
+            if (this.options.xml) this.error(ErrorCode.UNCLOSED_ELEMENT, this.offset + (this.buffer?.length ?? 0));
+            this.pop();
         }
-        
+
+        this.unwind(0);
         return this.handler.onEnd?.();
     }
 
@@ -177,10 +430,352 @@ export default class Parser {
         this.tagName = null;
         this.attributeName = null;
         this.attributeValue = [];
-        this.attributes = {};
+        this.attributes = new Map();
+        this.endTagName = null;
+        this.attributeLocations = new Map();
+        this.rawAttributes = [];
+        this.selfClosing = false;
+        this.rooted = false;
+        this.initial = !this.options.xml;
+        this.entities = new Map(predefinedEntities);
+        this.doctypeToken = { name: null, publicId: null, systemId: null, forceQuirks: false };
 
         this.buffer = null;
+        this.offset = 0;
         this.stack = [];
+        this.conditionals = [];
+    }
+
+    /**
+     * End the current element, and the conditionals opened within it beforehand.
+     * 
+     * @protected
+     * @param {boolean} [explicit = false] 
+     * @param {Span} [location] 
+     * @param {string} [source] 
+     */
+    pop(explicit = false, location, source) {
+        this.unwind(this.stack.length);
+        this.handler.onEndTag?.(explicit, location, source);
+        this.stack.pop();
+    }
+
+    /**
+     * End the conditionals opened at a stack depth or deeper.
+     * 
+     * @protected
+     * @param {number} depth 
+     */
+    unwind(depth) {
+        while (this.conditionals.at(-1) >= depth) {
+            this.handler.onConditionalEnd?.('');
+            this.conditionals.pop();
+        }
+    }
+
+    /**
+     * 
+     * 
+     * @param {string} encoding 
+     * @param {import('./Sniffer.js').Confidence} confidence 
+     */
+    onEncoding(encoding, confidence) {
+        this.handler.onEncoding?.(encoding, confidence);
+    }
+
+    /**
+     * 
+     * 
+     * @param {ParseError} error 
+     */
+    onError(error) {
+        this.handler.onError?.(error);
+    }
+
+    /**
+     * Settle the document mode, on the doctype or whatever comes first in its place.
+     * 
+     * @protected
+     * @param {Mode} mode 
+     */
+    settle(mode) {
+        if (!this.initial) return;
+        this.initial = false;
+        this.handler.onMode?.(mode);
+    }
+
+    /**
+     * Report a parse error found at the parser's level.
+     * 
+     * @protected
+     * @param {ErrorCode} code 
+     * @param {number} offset 
+     */
+    error(code, offset) {
+        this.onError(new ParseError(code, offset, this.locator?.position(offset)));
+    }
+
+    /**
+     * Decode a character reference, or restore its source if unknown.
+     * Named references come matched by the lexer, on their longest prefix, what follows it being lexed as text.
+     * 
+     * @protected
+     * @param {number} start 
+     * @param {number} end 
+     * @param {number} node Named references trie node the reference ends on, negative if none matched.
+     * @param {boolean} [attribute = false] Within an attribute value.
+     * @returns {string}
+     */
+    reference(start, end, node, attribute = false) {
+        const entity = this.buffer.slice(start, end);
+        const terminated = this.buffer.charCodeAt(end) === SEMI_COLON;
+        const source = terminated ? '&' + entity + ';' : '&' + entity;
+        if (this.options.xml) return this.xmlReference(entity, terminated, start, end);
+        if (entity.charCodeAt(0) === NUMBER) return this.numericReference(entity, terminated, start);
+
+        if (node < 0) {
+            if (terminated) this.error(ErrorCode.UNKNOWN_NAMED_CHARACTER_REFERENCE, this.offset + start - 1);
+            return source;
+        }
+
+        //: &copy &copy2024 &notit;
+        if (!terminated) {
+            //: href="?a=1&copy=2"
+            const next = this.buffer.charCodeAt(end);
+            if (attribute && (next === EQUALS || isAlphanumeric(next))) return source;
+
+            this.error(ErrorCode.MISSING_SEMICOLON_AFTER_CHARACTER_REFERENCE, this.offset + end);
+        }
+
+        return characterOf(node);
+    }
+
+    /**
+     * Decode a numeric reference, keeping what follows its digits as text.
+     * 
+     * @protected
+     * @param {string} entity 
+     * @param {boolean} terminated 
+     * @param {number} start 
+     * @returns {string}
+     */
+    numericReference(entity, terminated, start) {
+        const [digits] = NumericReference.exec(entity);
+        const value = decode(digits, code => this.error(code, this.offset + start - 1));
+
+        //: &#; &#xg
+        if (value === undefined) return terminated ? '&' + entity + ';' : '&' + entity;
+
+        //: &#65 &#65g;
+        const rest = entity.slice(digits.length);
+        if (rest || !terminated) this.error(ErrorCode.MISSING_SEMICOLON_AFTER_CHARACTER_REFERENCE, this.offset + start + digits.length);
+        return rest && terminated ? value + rest + ';' : value + rest;
+    }
+
+    /**
+     * Resolve an XML reference, which only knows predefined and declared entities and must be terminated.
+     * 
+     * @protected
+     * @param {string} entity 
+     * @param {boolean} terminated 
+     * @param {number} start 
+     * @param {number} end 
+     * @returns {string}
+     */
+    xmlReference(entity, terminated, start, end) {
+        if (!terminated) {
+            this.error(ErrorCode.MISSING_SEMICOLON_AFTER_CHARACTER_REFERENCE, this.offset + end);
+            return '&' + entity;
+        }
+
+        const value = entity.charCodeAt(0) === NUMBER ? decode(entity) : this.entities.get(entity);
+        if (value === undefined) {
+            this.error(ErrorCode.UNKNOWN_NAMED_CHARACTER_REFERENCE, this.offset + start - 1);
+            return '&' + entity + ';';
+        }
+
+        return value;
+    }
+
+    /**
+     * Register the general entities declared by an internal DTD subset.
+     * Their values get their references resolved on declaration.
+     * 
+     * @protected
+     * @param {string} declaration 
+     */
+    declare(declaration) {
+        for (const [, name, double, single] of declaration.matchAll(EntityDeclaration)) {
+            //: The first declaration is binding.
+            if (this.entities.has(name)) continue;
+
+            this.entities.set(name, resolve(double ?? single, this.entities));
+        }
+    }
+
+    /**
+     * Split a processing instruction into its target, data and pseudo-attributes.
+     * 
+     * @protected
+     * @param {number} start 
+     * @param {number} end 
+     * @returns {[string, string, Map<string, string> | null]}
+     */
+    directive(start, end) {
+        const content = this.slice(start, end);
+        const [match, target] = Target.exec(content);
+        const data = content.slice(match.length);
+        return [target, data, pseudoAttributes(data)];
+    }
+
+    /**
+     * Whether a trailing solidus closes the current start tag under the self-closing policy.
+     * 
+     * @protected
+     * @returns {boolean}
+     */
+    honored() {
+        const name = this.tagName;
+
+        switch (this.options.selfClosing) {
+            case SelfClosing.ALL:
+                return true;
+            case SelfClosing.CUSTOM:
+                if (name.includes('-')) return true;
+        }
+
+        return foreignElements.has(name) || this.foreign();
+    }
+
+    /**
+     * Whether the current node is foreign content rather than HTML.
+     * 
+     * @protected
+     * @returns {boolean}
+     */
+    foreign() {
+        //: Nearest of a foreign root and an integration point back to HTML.
+        for (let i = this.stack.length - 1; i >= 0; --i) {
+            if (foreignElements.has(this.stack[i])) return true;
+            if (integrationPoints.has(this.stack[i])) return false;
+        }
+
+        //: <svg> <math> Fragments of a foreign root.
+        return foreignElements.has(this.options.context?.toLowerCase());
+    }
+
+    /**
+     * Whether an element bears on telling foreign content, being a foreign root or an integration point back to HTML.
+     * 
+     * @protected
+     * @param {string} name 
+     * @returns {boolean}
+     */
+    scoping(name) {
+        return foreignElements.has(name) || integrationPoints.has(name);
+    }
+
+    /**
+     * Buffer between indices, NULL characters replaced unless lossless.
+     * 
+     * @protected
+     * @param {number} start 
+     * @param {number} end 
+     * @returns {string}
+     */
+    slice(start, end) {
+        const value = this.buffer.slice(start, end);
+        return this.options.lossless ? value : value.replace(NULL, REPLACEMENT_CHARACTER);
+    }
+
+    /**
+     * Input between offsets, as written.
+     * 
+     * @protected
+     * @param {number} start 
+     * @param {number} end 
+     * @returns {string}
+     */
+    source(start, end) {
+        return this.buffer.slice(start - this.offset, end - this.offset);
+    }
+
+    /**
+     * Take the doctype lexed so far, starting the next one afresh.
+     * 
+     * @protected
+     * @returns {import('./Doctype.js').DoctypeToken}
+     */
+    doctype() {
+        const doctype = this.doctypeToken;
+        this.doctypeToken = { name: null, publicId: null, systemId: null, forceQuirks: false };
+        return doctype;
+    }
+
+    /**
+     * Open or close a conditional node out of a conditional comment.
+     * Markup hidden within a single comment stays opaque, markup revealed or lexed out of it becomes children up to the closing comment.
+     * 
+     * @protected
+     * @param {number} start 
+     * @param {number} end 
+     * @param {number} tokenStart 
+     * @param {number} tokenEnd 
+     * @returns {boolean} Whether the comment was one, matching an open one if closing.
+     */
+    conditional(start, end, tokenStart, tokenEnd) {
+        //: <!--[if ...] <!--[if ...]><!-
+        if (this.buffer.charCodeAt(tokenEnd - 1) !== GREATER_THAN) return false;
+
+        const value = this.slice(start, end);
+        //: The opening may be gone from a compacted buffer, but not its length.
+        const source = this.options.lossless ? this.buffer.slice(tokenStart, tokenEnd) : commentOpenings[start - tokenStart] + value + commentClosings[tokenEnd - end];
+        const span = this.locate(this.offset + tokenStart, this.offset + tokenEnd);
+
+        //: <![endif]--> <![endif]> <!--<![endif]-->
+        if (ConditionalEnd.test(value)) {
+            const depth = this.conditionals.at(-1);
+            if (depth === undefined) return false;
+
+            while (this.stack.length > depth) this.pop();
+            this.handler.onConditionalEnd?.(source, span);
+            this.conditionals.pop();
+            return true;
+        }
+
+        const match = ConditionalStart.exec(value);
+        if (!match) return false;
+
+        const [, condition, markup] = match;
+        /** @type {TagLocation | undefined} */
+        const location = span && { ...span, startTag: span, attributes: new Map() };
+
+        //: <!--[if ...]>...<![endif]-->
+        if (markup !== undefined) {
+            const markupStart = start - tokenStart + value.indexOf(']') + 2;
+            const markupEnd = markupStart + markup.length;
+            this.handler.onConditionalStart?.(condition, false, source.slice(0, markupStart), markup, location);
+            this.handler.onConditionalEnd?.(source.slice(markupEnd));
+            return true;
+        }
+
+        //: <![if ...]> <!--[if ...]><!--> <!--[if ...]>
+        const revealed = source.startsWith('<![') || value.endsWith('><!');
+        this.handler.onConditionalStart?.(condition, revealed, source, null, location);
+        this.conditionals.push(this.stack.length);
+        return true;
+    }
+
+    /**
+     * Resolve input offsets into a span, if locations are tracked.
+     * 
+     * @protected
+     * @param {number} start 
+     * @param {number} end 
+     * @returns {Span | undefined}
+     */
+    locate(start, end) {
+        return this.locator?.span(start, end);
     }
     
     /**
@@ -188,9 +783,11 @@ export default class Parser {
      * 
      * @param {number} start 
      * @param {number} end 
+     * @param {boolean} [raw = false] Raw text, its NULL characters replaced.
      */
-    onText(start, end) {
-        this.text.push(this.buffer.slice(start, end));
+    onText(start, end, raw = false) {
+        if (!this.text.length) this.textStart = this.offset + start;
+        this.text.push(raw ? this.slice(start, end) : this.buffer.slice(start, end));
     }
 
     /**
@@ -198,17 +795,24 @@ export default class Parser {
      * 
      * @param {number} start 
      * @param {number} end 
+     * @param {number} [node = -1] 
      */
-    onTextEntity(start, end) {
-        const entity = this.buffer.slice(start, end);
-        this.text.push(decode(entity) ?? '&' + entity);
+    onTextEntity(start, end, node = -1) {
+        if (!this.text.length) this.textStart = this.offset + start - 1;
+        this.text.push(this.reference(start, end, node));
     }
 
     /**
      * 
+     * 
+     * @param {number} end 
      */
-    onTextEnd() {
-        this.handler.onText?.(this.text.join('').trim());
+    onTextEnd(end) {
+        if (!this.text.length) return;
+        const { lossless } = this.options;
+        const value = lossless ? this.text.join('') : this.text.join('').trim();
+        if (value.trim()) this.settle(Mode.QUIRKS);
+        this.handler.onText?.(value, this.locate(this.textStart, this.offset + end), lossless ? this.source(this.textStart, this.offset + end) : undefined);
         this.text.length = 0;
     }
 
@@ -219,7 +823,13 @@ export default class Parser {
      * @param {number} end 
      */
     onStartTagName(start, end) {
-        this.tagName = this.buffer.slice(start, end).toLowerCase();
+        this.tagName = this.options.xml ? this.slice(start, end) : this.slice(start, end).toLowerCase();
+        this.tagStart = this.offset + start - 1;
+
+        if (this.options.lossless) {
+            this.rawName = this.buffer.slice(start, end);
+            this.rawEnd = this.offset + end;
+        }
     }
 
     /**
@@ -229,7 +839,10 @@ export default class Parser {
      * @param {number} end 
      */
     onAttributeName(start, end) {
-        this.attributeName = this.buffer.slice(start, end).toLowerCase();
+        this.attributeName = this.options.xml ? this.slice(start, end) : this.slice(start, end).toLowerCase();
+        this.nameStart = this.offset + start;
+        this.nameEnd = this.offset + end;
+        this.valueStart = -1;
     }
 
     /**
@@ -239,7 +852,8 @@ export default class Parser {
      * @param {number} end 
      */
     onAttributeValue(start, end) {
-        this.attributeValue.push(this.buffer.slice(start, end));
+        if (this.valueStart < 0) this.valueStart = this.offset + start;
+        this.attributeValue.push(this.slice(start, end));
     }
 
     /**
@@ -247,39 +861,123 @@ export default class Parser {
      * 
      * @param {number} start 
      * @param {number} end 
+     * @param {number} [node = -1] 
      */
-    onAttributeEntity(start, end) {
-        const entity = this.buffer.slice(start, end);
-        this.attributeValue.push(decode(entity) ?? '&' + entity);
+    onAttributeEntity(start, end, node = -1) {
+        if (this.valueStart < 0) this.valueStart = this.offset + start - 1;
+        this.attributeValue.push(this.reference(start, end, node, true));
     }
 
     /**
      * 
+     * 
+     * @param {import('./Lexer.js').Quote} [quote] Absent for valueless attributes.
+     * @param {number} [end] Value end index.
      */
-    onAttributeEnd() {
-        this.attributes[this.attributeName] = this.attributeValue.join('');
+    onAttributeEnd(quote, end) {
+        const { xml, lossless, duplicates = Duplicate.FIRST } = this.options;
+        const name = this.attributeName;
+        const value = this.attributeValue.join('');
         this.attributeName = null;
         this.attributeValue.length = 0;
+
+        if (xml) {
+            if (quote === undefined) this.error(ErrorCode.ATTRIBUTE_WITHOUT_VALUE, this.nameStart);
+            else if (quote === Quote.NULLUM) this.error(ErrorCode.UNQUOTED_ATTRIBUTE_VALUE, this.nameStart);
+        }
+
+        if (lossless) {
+            const quoted = quote === Quote.DOUBLE || quote === Quote.SINGLE;
+            const attributeEnd = end === undefined ? this.nameEnd : this.offset + end + (quoted ? 1 : 0);
+            this.rawAttributes.push({ before: this.source(this.rawEnd, this.nameStart), source: this.source(this.nameStart, attributeEnd), name, value, quote });
+            this.rawEnd = attributeEnd;
+        }
+
+        if (this.attributes.has(name)) {
+            this.error(ErrorCode.DUPLICATE_ATTRIBUTE, this.nameStart);
+
+            switch (duplicates) {
+                case Duplicate.FIRST:
+                    return;
+
+                //: Values of repeated names are listed in source order, keeping the first location.
+                case Duplicate.ALL: {
+                    const values = this.attributes.get(name);
+                    if (Array.isArray(values)) values.push(value);
+                    else this.attributes.set(name, [values, value]);
+                    return;
+                }
+            }
+        }
+
+        if (this.locator) {
+            /** @type {AttributeLocation} */
+            const location = { name: this.locate(this.nameStart, this.nameEnd) };
+            if (end !== undefined) location.value = this.locate(this.valueStart < 0 ? this.offset + end : this.valueStart, this.offset + end);
+            this.attributeLocations.set(name, location);
+        }
+
+        //: The last wins over the position of the first.
+        this.attributes.set(name, value);
+    }
+
+    /**
+     * 
+     * 
+     * @returns {boolean} Whether the solidus closes the element.
+     */
+    onSelfClosingTag() {
+        this.selfClosing = true;
+        return this.options.xml || emptyElements.has(this.tagName) || this.honored();
     }
 
     /**
      * 
+     * 
+     * @param {number} start 
+     * @param {number} end 
      */
-    onStartTagClose() {
-        const close = implicitClose.get(this.tagName);
+    onStartTagClose(start, end) {
+        this.settle(Mode.QUIRKS);
+
+        const { xml } = this.options;
+        if (xml && !this.stack.length && this.rooted) this.error(ErrorCode.MULTIPLE_ROOT_ELEMENTS, this.tagStart);
+        this.rooted = true;
+
+        const close = !xml && implicitClose.get(this.tagName);
         if (close) {
-            while (close.has(this.stack.at(-1))) {
-                this.handler.onEndTag?.(false);
-                this.stack.pop();
-            }
+            while (close.has(this.stack.at(-1))) this.pop();
         }
         
-        const selfClosing = emptyElements.has(this.tagName);
-        this.handler.onStartTag?.(this.tagName, this.attributes, selfClosing);
+        /** @type {TagLocation | undefined} */
+        let location;
+        if (this.locator) {
+            const startTag = this.locate(this.tagStart, this.offset + end);
+            location = { ...startTag, startTag, attributes: this.attributeLocations };
+            this.attributeLocations = new Map();
+        }
+
+        /** @type {RawTag | undefined} */
+        let source;
+        if (this.options.lossless) {
+            const tagEnd = this.offset + end;
+            source = { source: this.source(this.tagStart, tagEnd), name: this.rawName, attributes: this.rawAttributes, parsed: new Map([...this.attributes].map(([name, value]) => [name, Array.isArray(value) ? [...value] : value])), end: this.source(this.rawEnd, tagEnd) };
+            this.rawAttributes = [];
+        }
+
+        const { selfClosing } = this;
+        let empty = xml ? selfClosing : emptyElements.has(this.tagName);
+        if (!empty && selfClosing) {
+            if (this.honored()) empty = true;
+            else this.error(ErrorCode.NON_VOID_HTML_ELEMENT_START_TAG_WITH_TRAILING_SOLIDUS, this.tagStart);
+        }
+
+        this.handler.onStartTag?.(this.tagName, this.attributes, empty, location, source, selfClosing);
         
-        if (!selfClosing) this.stack.push(this.tagName);
+        if (!empty) this.stack.push(this.tagName);
         this.tagName = null;
-        this.attributes = {};
+        this.attributes = new Map();
+        this.selfClosing = false;
     }
 
     /**
@@ -289,15 +987,44 @@ export default class Parser {
      * @param {number} end 
      */
     onEndTagName(start, end) {
-        const name = this.buffer.slice(start, end);
-        if (emptyElements.has(name)) return;
+        this.endTagName = this.options.xml ? this.slice(start, end) : this.slice(start, end).toLowerCase();
+        this.tagStart = this.offset + start - 2;
+    }
+
+    /**
+     * 
+     * 
+     * @param {number} start 
+     * @param {number} end 
+     */
+    onEndTagClose(start, end) {
+        this.settle(Mode.QUIRKS);
+
+        const name = this.endTagName;
+        this.endTagName = null;
+
+        //: </br> is taken for a <br>.
+        if (name === 'br' && !this.options.xml) {
+            this.error(ErrorCode.END_TAG_WITHOUT_MATCHING_OPEN_ELEMENT, this.tagStart);
+            const span = this.locate(this.tagStart, this.offset + end);
+            const source = this.options.lossless ? this.source(this.tagStart, this.offset + end) : undefined;
+            this.handler.onStartTag?.(name, new Map(), true, span && { ...span, startTag: span, attributes: new Map() }, source && { source, name: source.slice(2, 2 + name.length), attributes: [], parsed: new Map(), end: source.slice(2 + name.length) });
+            return;
+        }
 
         let distance = this.stack.length - this.stack.lastIndexOf(name) - 1;
-        if (distance === this.stack.length) return;
+        if (distance === this.stack.length) {
+            this.error(ErrorCode.END_TAG_WITHOUT_MATCHING_OPEN_ELEMENT, this.tagStart);
+            //: Kept as empty text to be written back.
+            if (this.options.lossless) this.handler.onText?.('', this.locate(this.tagStart, this.offset + end), this.source(this.tagStart, this.offset + end));
+            return;
+        }
+        if (distance && this.options.xml) this.error(ErrorCode.MISMATCHED_END_TAG, this.tagStart);
 
+        const location = this.locate(this.tagStart, this.offset + end);
+        const source = this.options.lossless ? this.source(this.tagStart, this.offset + end) : undefined;
         do {
-            this.handler.onEndTag?.(!distance);
-            this.stack.pop();
+            this.pop(!distance, distance ? undefined : location, distance ? undefined : source);
         } while (distance--);
     }
 
@@ -306,9 +1033,96 @@ export default class Parser {
      * 
      * @param {number} start 
      * @param {number} end 
+     * @param {number} tokenStart 
+     * @param {number} tokenEnd 
+     */
+    onComment(start, end, tokenStart, tokenEnd) {
+        const { lossless, conditionals, xml } = this.options;
+        if (conditionals && !xml && this.conditional(start, end, tokenStart, tokenEnd)) return;
+
+        const value = lossless ? this.slice(start, end) : this.slice(start, end).trim();
+        this.handler.onComment?.(value, this.locate(this.offset + tokenStart, this.offset + tokenEnd), lossless ? this.buffer.slice(tokenStart, tokenEnd) : undefined);
+    }
+
+    /**
+     * 
+     * 
+     * @returns {boolean} Whether a CDATA section may start, in XML or foreign content.
+     */
+    onCDATAStart() {
+        return this.options.xml || this.foreign();
+    }
+
+    /**
+     * 
+     * 
+     * @param {number} start 
+     * @param {number} end 
+     * @param {number} tokenStart 
+     * @param {number} tokenEnd 
+     */
+    onCDATA(start, end, tokenStart, tokenEnd) {
+        const { lossless } = this.options;
+        const value = lossless ? this.buffer.slice(start, end) : this.buffer.slice(start, end).trim();
+        this.handler.onCDATA?.(value, this.locate(this.offset + tokenStart, this.offset + tokenEnd), lossless ? this.buffer.slice(tokenStart, tokenEnd) : undefined);
+    }
+
+    /**
+     * 
+     * 
+     * @param {number} start 
+     * @param {number} end 
+     */
+    onDoctypeName(start, end) {
+        this.doctypeToken.name = this.slice(start, end).toLowerCase();
+    }
+
+    /**
+     * 
+     * 
+     * @param {number} start 
+     * @param {number} end 
+     */
+    onDoctypePublicId(start, end) {
+        this.doctypeToken.publicId = this.slice(start, end);
+    }
+
+    /**
+     * 
+     * 
+     * @param {number} start 
+     * @param {number} end 
+     */
+    onDoctypeSystemId(start, end) {
+        this.doctypeToken.systemId = this.slice(start, end);
+    }
+
+    /**
+     * 
+     */
+    onDoctypeQuirks() {
+        this.doctypeToken.forceQuirks = true;
+    }
+
+    /**
+     * 
+     * 
+     * @param {number} start 
+     * @param {number} end 
+     * @param {number} tokenStart 
+     * @param {number} tokenEnd 
      */
-    onComment(start, end) {
-        this.handler.onComment?.(this.buffer.slice(start, end).trim());
+    onDeclaration(start, end, tokenStart, tokenEnd) {
+        const { xml, lossless } = this.options;
+        if (xml) this.declare(this.slice(start, end));
+        const value = lossless ? this.slice(start, end) : this.slice(start, end).trimEnd();
+        const location = this.locate(this.offset + tokenStart, this.offset + tokenEnd);
+        const source = lossless ? this.buffer.slice(tokenStart, tokenEnd) : undefined;
+        if (xml) return this.handler.onDeclaration?.(value, location, source);
+
+        const doctype = this.doctype();
+        this.settle(quirks(doctype));
+        this.handler.onDoctype?.(value, doctype, location, source);
     }
 
     /**
@@ -316,9 +1130,13 @@ export default class Parser {
      * 
      * @param {number} start 
      * @param {number} end 
+     * @param {number} tokenStart 
+     * @param {number} tokenEnd 
      */
-    onCDATA(start, end) {
-        this.handler.onCDATA?.(this.buffer.slice(start, end).trim());
+    onDirective(start, end, tokenStart, tokenEnd) {
+        const { lossless } = this.options;
+        const [target, data, attributes] = this.directive(start, end);
+        this.handler.onDirective?.(target, lossless ? data : data.trimEnd(), this.locate(this.offset + tokenStart, this.offset + tokenEnd), lossless ? this.buffer.slice(tokenStart, tokenEnd) : undefined, attributes);
     }
 
     /**
@@ -326,8 +1144,12 @@ export default class Parser {
      * 
      * @param {number} start 
      * @param {number} end 
+     * @param {number} tokenStart 
+     * @param {number} tokenEnd 
      */
-    onDeclaration(start, end) {
-        this.handler.onDeclaration?.(this.buffer.slice(start, end).trimEnd());
+    onTemplate(start, end, tokenStart, tokenEnd) {
+        const { buffer, options: { lossless } } = this;
+        //: Padding belongs to the template syntax, kept as is to write it back.
+        this.handler.onTemplate?.(buffer.slice(tokenStart, start), this.slice(start, end), buffer.slice(end, tokenEnd), this.locate(this.offset + tokenStart, this.offset + tokenEnd), lossless ? buffer.slice(tokenStart, tokenEnd) : undefined);
     }
 }
@@ -0,0 +1,212 @@
+import { Element, Data } from './Handler.js';
+import { Quote } from './Lexer.js';
+import { emptyElements } from './Parser.js';
+
+/** Elements whose text is written as is. @type {Set<string>} */
+const rawTextElements = new Set([
+    'iframe',
+    'noembed', 'noframes', 'noscript',
+    'plaintext',
+    'script', 'style',
+    'xmp',
+]);
+
+/** Characters to escape in text. @type {RegExp} */
+const TextEscape = /[&<>]/g;
+
+/** Characters to escape in double-quoted attribute values. @type {RegExp} */
+const DoubleEscape = /[&"]/g;
+
+/** Characters to escape in single-quoted attribute values. @type {RegExp} */
+const SingleEscape = /[&']/g;
+
+/** Attribute values that can't go unquoted. @type {RegExp} */
+const Unquotable = /^$|[\s"'=<>`]/;
+
+/** @type {Record<string, string>} */
+const references = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+};
+
+/**
+ * @typedef SerializerOptions
+ * @property {boolean} [xml] Write childless new tags self-closed, rather than by the HTML void elements.
+ */
+
+/**
+ *
+ *
+ * @param {string} value
+ * @param {RegExp} pattern
+ * @returns {string}
+ */
+function escape(value, pattern) {
+    return value.replace(pattern, char => references[char]);
+}
+
+/**
+ * Values of an attribute, listed when its name is repeated.
+ *
+ * @param {string | string[] | Set<string>} value
+ * @returns {Array<string | Set<string>>}
+ */
+function values(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Whether an attribute still holds its parsed value, multi-valued attributes being compared as sets.
+ *
+ * @param {string | string[] | Set<string>} value
+ * @param {string | string[] | undefined} parsed
+ * @returns {boolean}
+ */
+function same(value, parsed) {
+    if (parsed === undefined) return false;
+    if (Array.isArray(value) || Array.isArray(parsed)) return Array.isArray(value) && Array.isArray(parsed) && value.length === parsed.length && value.every((item, i) => item === parsed[i]);
+    if (!(value instanceof Set)) return value === parsed;
+
+    const tokens = parsed.trim().split(/\s+/).filter(Boolean);
+    return tokens.length === value.size && tokens.every(token => value.has(token));
+}
+
+/**
+ *
+ *
+ * @param {import('./Handler.js').Tag} tag
+ * @param {SerializerOptions} options
+ * @returns {boolean}
+ */
+function renamed(tag, options) {
+    return tag.name !== (options.xml ? tag.raw.name : tag.raw.name.toLowerCase());
+}
+
+/**
+ *
+ *
+ * @param {string} name
+ * @param {string | Set<string>} value
+ * @param {import('./Lexer.js').Quote} [quote = Quote.DOUBLE]
+ * @returns {string}
+ */
+function attribute(name, value, quote = Quote.DOUBLE) {
+    if (value instanceof Set) value = [...value].join(' ');
+    if (quote === Quote.NULLUM && Unquotable.test(value)) quote = Quote.DOUBLE;
+
+    switch (quote) {
+        case Quote.NULLUM: return `${name}=${escape(value, TextEscape)}`;
+        case Quote.SINGLE: return `${name}='${escape(value, SingleEscape)}'`;
+        default: return `${name}="${escape(value, DoubleEscape)}"`;
+    }
+}
+
+/**
+ * Write a start tag, as written while unedited, then keeping the spelling of what's left untouched.
+ *
+ * @param {import('./Handler.js').Tag} tag
+ * @param {SerializerOptions} options
+ * @returns {string}
+ */
+function startTag(tag, options) {
+    const { raw, attributes } = tag;
+
+    if (raw && !renamed(tag, options) && attributes.size === raw.parsed.size && [...attributes].every(([name, value]) => same(value, raw.parsed.get(name)))) {
+        return raw.source;
+    }
+
+    let markup = '<' + (raw && !renamed(tag, options) ? raw.name : tag.name);
+    /** Values written per name. @type {Map<string, number>} */
+    const written = new Map();
+
+    for (const { before, source, name, value, quote } of raw?.attributes ?? []) {
+        const index = written.get(name) ?? 0;
+        const current = attributes.has(name) ? values(attributes.get(name))[index] : undefined;
+        if (current === undefined) continue;
+        written.set(name, index + 1);
+
+        //: Names keep their case, valueless attributes keep going valueless.
+        const spelling = source.slice(0, name.length).toLowerCase() === name ? source.slice(0, name.length) : name;
+        if (same(current, value)) markup += before + source;
+        else markup += before + (quote === undefined && current === '' ? spelling : attribute(spelling, current, quote));
+    }
+
+    for (const [name, value] of attributes) for (const item of values(value).slice(written.get(name) ?? 0)) markup += ' ' + attribute(name, item);
+
+    if (raw) return markup + raw.end;
+    return markup + ((options.xml || tag.selfClosing) && !tag.children.length ? '/>' : '>');
+}
+
+/**
+ *
+ *
+ * @param {import('./Handler.js').Tag} tag
+ * @param {SerializerOptions} options
+ * @returns {string}
+ */
+function endTag(tag, options) {
+    if (tag.raw) return tag.raw.endTag === undefined ? '' : renamed(tag, options) ? `</${tag.name}>` : tag.raw.endTag;
+    if (options.xml ? !tag.children.length : emptyElements.has(tag.name) || tag.selfClosing && !tag.children.length) return '';
+    return `</${tag.name}>`;
+}
+
+/**
+ *
+ *
+ * @param {import('./Handler.js').Text} text
+ * @returns {string}
+ */
+function data(text) {
+    const { raw } = text;
+    if (raw && text.value === raw.value && raw.target === /** @type {any} */ (text).target) return raw.source;
+
+    switch (text.type) {
+        case Data.TEXT:
+            return rawTextElements.has(text.parent?.name) ? text.value : escape(text.value, TextEscape);
+        case Data.COMMENT:
+            return `<!--${text.value}-->`;
+        case Data.CDATA:
+            return `<![CDATA[${text.value}]]>`;
+        case Data.DOCTYPE:
+            return `<!${text.value}>`;
+        case Data.DIRECTIVE: {
+            const { target, value } = /** @type {import('./Handler.js').Directive} */ (text);
+            return value ? `<?${target} ${value}?>` : `<?${target}?>`;
+        }
+        case Data.TEMPLATE: {
+            const { open, value, close } = /** @type {import('./Handler.js').Template} */ (text);
+            return open + value + close;
+        }
+    }
+}
+
+/**
+ * Write a node back to markup.
+ * Nodes parsed in lossless mode are written as they were, as long as they're unedited,
+ * edited tags keeping the spelling of their untouched attributes.
+ *
+ * @param {import('./Handler.js').Node} node
+ * @param {SerializerOptions} [options = {}]
+ * @returns {string}
+ */
+export default function serialize(node, options = {}) {
+    if (node.type !== Element.TAG && node.type !== Element.DOCUMENT && node.type !== Element.CONDITIONAL) return data(/** @type {import('./Handler.js').Text} */ (node));
+
+    const tag = /** @type {import('./Handler.js').Tag} */ (node);
+    let markup = '';
+    for (const child of tag.children) markup += serialize(child, options);
+
+    switch (node.type) {
+        case Element.DOCUMENT:
+            return markup;
+        case Element.CONDITIONAL: {
+            const { open, markup: hidden, close } = /** @type {import('./Handler.js').Conditional} */ (node);
+            return open + (hidden ?? markup) + close;
+        }
+        default:
+            return startTag(tag, options) + markup + endTag(tag, options);
+    }
+}
@@ -0,0 +1,218 @@
+/** Encoding confidence levels. @enum {string} */
+export const Confidence = Object.freeze({
+    /** Byte order mark or transport layer. */
+    CERTAIN: 'certain',
+    /** Prescan or fallback. */
+    TENTATIVE: 'tentative',
+});
+
+/**
+ * @typedef Sniffed
+ * @property {string} encoding Canonical encoding name.
+ * @property {Confidence} confidence
+ */
+
+/**
+ * @typedef SniffOptions
+ * @property {string} [transport] Transport layer charset label (e.g. from Content-Type).
+ * @property {string} [fallback = 'windows-1252'] Encoding label to settle for.
+ */
+
+/** Number of bytes the meta prescan looks into. @type {number} */
+export const PRESCAN_LENGTH = 1024;
+
+/** ASCII byte codes. @enum {number} */
+const Byte = Object.freeze({
+    LESS_THAN: 0x3c,
+    GREATER_THAN: 0x3e,
+    SLASH: 0x2f,
+    EXCLAIMATION_MARK: 0x21,
+    QUESTION_MARK: 0x3f,
+    DASH: 0x2d,
+    EQUALS: 0x3d,
+    QUOTATION_MARK: 0x22,
+    APOSTROPHE: 0x27,
+    SEMI_COLON: 0x3b,
+    SPACE: 0x20,
+    LOWERCASE_A: 0x61,
+    LOWERCASE_Z: 0x7a,
+});
+
+/**
+ *
+ *
+ * @param {number} byte
+ * @returns {boolean}
+ */
+function isWhitespace(byte) {
+    return byte === 0x09 || byte === 0x0a || byte === 0x0c || byte === 0x0d || byte === Byte.SPACE;
+}
+
+/**
+ *
+ *
+ * @param {number} byte
+ * @returns {boolean}
+ */
+function isAlphabetic(byte) {
+    byte |= Byte.SPACE;
+    return byte >= Byte.LOWERCASE_A && byte <= Byte.LOWERCASE_Z;
+}
+
+/**
+ * Canonical name of a supported encoding label.
+ *
+ * @param {string | undefined} label
+ * @returns {string | null}
+ */
+function resolve(label) {
+    if (!label) return null;
+
+    try {
+        return new TextDecoder(label.trim()).encoding;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Case-insensitive ASCII match at an index.
+ *
+ * @param {Uint8Array} bytes
+ * @param {number} index
+ * @param {string} keyword Lowercase.
+ * @returns {boolean}
+ */
+function matches(bytes, index, keyword) {
+    for (let i = 0; i < keyword.length; ++i) {
+        if ((bytes[index + i] | Byte.SPACE) !== keyword.charCodeAt(i)) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Extract a character encoding from a meta element's content attribute.
+ *
+ * @param {string} content
+ * @returns {string | null}
+ */
+function extract(content) {
+    const match = /charset\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s;"']+))/i.exec(content);
+    return match && (match[1] ?? match[2] ?? match[3]);
+}
+
+/**
+ * Byte stream prescan, as in "prescan a byte stream to determine its encoding".
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string | null}
+ */
+function prescan(bytes) {
+    const end = Math.min(bytes.length, PRESCAN_LENGTH);
+    let index = 0;
+
+    /**
+     * Consume the next attribute, if any.
+     * @returns {[string, string] | null}
+     */
+    const attribute = () => {
+        while (index < end && (isWhitespace(bytes[index]) || bytes[index] === Byte.SLASH)) ++index;
+        if (index >= end || bytes[index] === Byte.GREATER_THAN) return null;
+
+        let name = '', value = '';
+        for (; index < end; ++index) {
+            const byte = bytes[index];
+            if (byte === Byte.EQUALS && name) break;
+            if (isWhitespace(byte) || byte === Byte.SLASH || byte === Byte.GREATER_THAN) break;
+            name += String.fromCharCode(byte).toLowerCase();
+        }
+
+        while (index < end && isWhitespace(bytes[index])) ++index;
+        if (bytes[index] !== Byte.EQUALS) return [name, value];
+
+        ++index;
+        while (index < end && isWhitespace(bytes[index])) ++index;
+
+        const quote = bytes[index];
+        if (quote === Byte.QUOTATION_MARK || quote === Byte.APOSTROPHE) {
+            for (++index; index < end && bytes[index] !== quote; ++index) value += String.fromCharCode(bytes[index]).toLowerCase();
+            ++index;
+        } else {
+            for (; index < end && !isWhitespace(bytes[index]) && bytes[index] !== Byte.GREATER_THAN; ++index) value += String.fromCharCode(bytes[index]).toLowerCase();
+        }
+
+        return [name, value];
+    };
+
+    for (; index < end; ++index) {
+        if (bytes[index] !== Byte.LESS_THAN) continue;
+
+        //: <!--...-->
+        if (matches(bytes, index, '<!--')) {
+            index += 4;
+            while (index < end && !matches(bytes, index - 2, '-->')) ++index;
+
+        //: <meta ... <meta/...
+        } else if (matches(bytes, index, '<meta') && (isWhitespace(bytes[index + 5]) || bytes[index + 5] === Byte.SLASH)) {
+            index += 6;
+
+            const seen = new Set();
+            let pragma = false, need = null, charset = null;
+
+            for (let pair = attribute(); pair; pair = attribute()) {
+                const [name, value] = pair;
+                if (seen.has(name)) continue;
+                seen.add(name);
+
+                if (name === 'http-equiv') {
+                    if (value === 'content-type') pragma = true;
+                } else if (name === 'content') {
+                    const label = charset === null && extract(value);
+                    if (label) {
+                        charset = resolve(label);
+                        need = true;
+                    }
+                } else if (name === 'charset') {
+                    charset = resolve(value);
+                    need = false;
+                }
+            }
+
+            if (need === null || need && !pragma || !charset) continue;
+            if (charset === 'utf-16le' || charset === 'utf-16be') return 'utf-8';
+            if (charset === 'x-user-defined') return 'windows-1252';
+            return charset;
+
+        //: <a... </a...
+        } else if (isAlphabetic(bytes[index + 1]) || bytes[index + 1] === Byte.SLASH && isAlphabetic(bytes[index + 2])) {
+            while (index < end && !isWhitespace(bytes[index]) && bytes[index] !== Byte.GREATER_THAN) ++index;
+            while (attribute());
+
+        //: <!... </... <?...
+        } else if (bytes[index + 1] === Byte.EXCLAIMATION_MARK || bytes[index + 1] === Byte.SLASH || bytes[index + 1] === Byte.QUESTION_MARK) {
+            while (index < end && bytes[index] !== Byte.GREATER_THAN) ++index;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Determine the encoding of a byte stream from its first bytes.
+ * Byte order mark first, then transport layer, then meta prescan, then fallback.
+ *
+ * @param {Uint8Array} bytes
+ * @param {SniffOptions} [options = {}]
+ * @returns {Sniffed}
+ */
+export default function sniff(bytes, { transport, fallback = 'windows-1252' } = {}) {
+    if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return { encoding: 'utf-8', confidence: Confidence.CERTAIN };
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) return { encoding: 'utf-16be', confidence: Confidence.CERTAIN };
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) return { encoding: 'utf-16le', confidence: Confidence.CERTAIN };
+
+    const encoding = resolve(transport);
+    if (encoding) return { encoding, confidence: Confidence.CERTAIN };
+
+    return { encoding: prescan(bytes) ?? resolve(fallback) ?? 'windows-1252', confidence: Confidence.TENTATIVE };
+}
@@ -0,0 +1,246 @@
+import Parser from './Parser.js';
+
+/** Token types. @enum {string} */
+export const TokenType = Object.freeze({
+    /** <a ...> */
+    START_TAG: 'start-tag',
+    /** </a> */
+    END_TAG: 'end-tag',
+    /** String */
+    TEXT: 'text',
+    /** <!-- ... --> */
+    COMMENT: 'comment',
+    /** <![CDATA[ ... ]]> */
+    CDATA: 'cdata',
+    /** <!DOCTYPE ...> */
+    DOCTYPE: 'doctype',
+    /** <? ... ?> */
+    PROCESSING_INSTRUCTION: 'processing-instruction',
+    /** {{ ... }} */
+    TEMPLATE: 'template',
+});
+
+/**
+ * @typedef TokenizerOptions
+ * @property {(error: import('./ParseError.js').default) => any} [onError] Parse errors receiver.
+ * @property {boolean} [xml] Tokenize XML: case-sensitive names and XML entities.
+ * @property {import('./Parser.js').Duplicate} [duplicates] Duplicate attributes policy, keeping the first by default.
+ */
+
+/**
+ * @typedef StartTag
+ * @property {TokenType.START_TAG} type
+ * @property {string} name Lowercase.
+ * @property {import('./Parser.js').Attributes} attributes
+ * @property {boolean} selfClosing Written with a trailing solidus.
+ * @property {import('./Locator.js').Span} [location]
+ */
+
+/**
+ * @typedef EndTag
+ * @property {TokenType.END_TAG} type
+ * @property {string} name Lowercase.
+ * @property {import('./Locator.js').Span} [location]
+ */
+
+/**
+ * Text, comment, CDATA and XML doctype tokens.
+ *
+ * @typedef DataToken
+ * @property {TokenType.TEXT | TokenType.COMMENT | TokenType.CDATA | TokenType.DOCTYPE} type
+ * @property {string} value Character references decoded in text.
+ * @property {import('./Locator.js').Span} [location]
+ */
+
+/**
+ * @typedef {{ type: TokenType.DOCTYPE, value: string, location?: import('./Locator.js').Span } & import('./Doctype.js').DoctypeToken} Doctype HTML doctype.
+ */
+
+/**
+ * @typedef ProcessingInstruction
+ * @property {TokenType.PROCESSING_INSTRUCTION} type
+ * @property {string} target
+ * @property {string} data
+ * @property {Map<string, string> | null} attributes Pseudo-attributes, if the data is made of them.
+ * @property {import('./Locator.js').Span} [location]
+ */
+
+/**
+ * Template syntax met out of tags, in tags it stays part of names and values.
+ *
+ * @typedef Template
+ * @property {TokenType.TEMPLATE} type
+ * @property {string} open
+ * @property {string} value
+ * @property {string} close Empty if unterminated.
+ * @property {import('./Locator.js').Span} [location]
+ */
+
+/**
+ * @typedef {StartTag | EndTag | DataToken | Doctype | ProcessingInstruction | Template} Token
+ */
+
+/**
+ * Lexer callbacks receiver queuing plain tokens, in place of building a tree.
+ * Tokens keep their source text as is: no trimming, no implied tags.
+ */
+export default class Tokenizer extends Parser {
+    /** Tokens not yet taken. @protected @type {Token[]} */
+    tokens;
+
+    /**
+     * @param {TokenizerOptions} [options = {}]
+     * @param {boolean} [reset = true]
+     */
+    constructor(options = {}, reset = true) {
+        //: Fields are only defined once the parent constructor returns.
+        super({ onError: options.onError }, false, options);
+        if (reset) this.onReset();
+    }
+
+    /**
+     * Take the queued tokens.
+     *
+     * @returns {Token[]}
+     */
+    drain() {
+        const { tokens } = this;
+        this.tokens = [];
+        return tokens;
+    }
+
+    /**
+     * Queue a token, locating it if locations are tracked.
+     *
+     * @protected
+     * @param {Token} token
+     * @param {number} start Input offset.
+     * @param {number} end Input offset.
+     */
+    push(token, start, end) {
+        if (this.locator) token.location = this.locate(start, end);
+        this.tokens.push(token);
+    }
+
+    /**
+     *
+     */
+    onEnd() {}
+
+    /**
+     *
+     */
+    onReset() {
+        super.onReset();
+        this.tokens = [];
+    }
+
+    /**
+     *
+     *
+     * @param {number} end
+     */
+    onTextEnd(end) {
+        if (!this.text.length) return;
+        this.push({ type: TokenType.TEXT, value: this.text.join('') }, this.textStart, this.offset + end);
+        this.text.length = 0;
+    }
+
+    /**
+     *
+     *
+     * @param {number} start
+     * @param {number} end
+     */
+    onStartTagClose(start, end) {
+        const { tagName, selfClosing } = this;
+        this.push({ type: TokenType.START_TAG, name: tagName, attributes: this.attributes, selfClosing }, this.tagStart, this.offset + end);
+
+        //: Only elements telling foreign content are stacked, for CDATA sections to be lexed where the tree has them.
+        if (this.scoping(tagName) && !(selfClosing && this.honored())) this.stack.push(tagName);
+
+        this.tagName = null;
+        this.attributes = new Map();
+        this.attributeLocations = new Map();
+        this.selfClosing = false;
+    }
+
+    /**
+     *
+     *
+     * @param {number} start
+     * @param {number} end
+     */
+    onEndTagClose(start, end) {
+        this.push({ type: TokenType.END_TAG, name: this.endTagName }, this.tagStart, this.offset + end);
+
+        const index = this.stack.lastIndexOf(this.endTagName);
+        if (index >= 0) this.stack.length = index;
+        this.endTagName = null;
+    }
+
+    /**
+     *
+     *
+     * @param {number} start
+     * @param {number} end
+     * @param {number} tokenStart
+     * @param {number} tokenEnd
+     */
+    onComment(start, end, tokenStart, tokenEnd) {
+        this.push({ type: TokenType.COMMENT, value: this.slice(start, end) }, this.offset + tokenStart, this.offset + tokenEnd);
+    }
+
+    /**
+     *
+     *
+     * @param {number} start
+     * @param {number} end
+     * @param {number} tokenStart
+     * @param {number} tokenEnd
+     */
+    onCDATA(start, end, tokenStart, tokenEnd) {
+        this.push({ type: TokenType.CDATA, value: this.buffer.slice(start, end) }, this.offset + tokenStart, this.offset + tokenEnd);
+    }
+
+    /**
+     *
+     *
+     * @param {number} start
+     * @param {number} end
+     * @param {number} tokenStart
+     * @param {number} tokenEnd
+     */
+    onDeclaration(start, end, tokenStart, tokenEnd) {
+        const value = this.slice(start, end);
+        if (this.options.xml) this.declare(value);
+        const token = this.options.xml ? { type: TokenType.DOCTYPE, value } : { type: TokenType.DOCTYPE, value, ...this.doctype() };
+        this.push(token, this.offset + tokenStart, this.offset + tokenEnd);
+    }
+
+    /**
+     *
+     *
+     * @param {number} start
+     * @param {number} end
+     * @param {number} tokenStart
+     * @param {number} tokenEnd
+     */
+    onDirective(start, end, tokenStart, tokenEnd) {
+        const [target, data, attributes] = this.directive(start, end);
+        this.push({ type: TokenType.PROCESSING_INSTRUCTION, target, data, attributes }, this.offset + tokenStart, this.offset + tokenEnd);
+    }
+
+    /**
+     *
+     *
+     * @param {number} start
+     * @param {number} end
+     * @param {number} tokenStart
+     * @param {number} tokenEnd
+     */
+    onTemplate(start, end, tokenStart, tokenEnd) {
+        const { buffer } = this;
+        this.push({ type: TokenType.TEMPLATE, open: buffer.slice(tokenStart, start), value: this.slice(start, end), close: buffer.slice(end, tokenEnd) }, this.offset + tokenStart, this.offset + tokenEnd);
+    }
+}
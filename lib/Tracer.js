@@ -0,0 +1,144 @@
+/** Lexer trace entry kinds. @enum {string} */
+export const Trace = Object.freeze({
+    /** Input chunk handed to the lexer. */
+    WRITE: 'write',
+    /** Lexer state transition. */
+    STATE: 'state',
+    /** Parser callback emitted by the lexer. */
+    CALLBACK: 'callback',
+    /** Section start index update. */
+    SECTION: 'section',
+    /** End of input. */
+    END: 'end',
+});
+
+/** Position of the callback arguments that aren't indices, trie nodes of matched references. @type {Record<string, number>} */
+const nodeArguments = {
+    onTextEntity: 2,
+    onAttributeEntity: 2,
+};
+
+/**
+ * @typedef TraceEntry
+ * @property {Trace} kind
+ * @property {number} [offset] Input offset of the character being processed.
+ * @property {string} [chunk] Written input (write).
+ * @property {string} [from] Previous state name (state).
+ * @property {string} [to] Current state name (state).
+ * @property {string} [callback] Parser callback name (callback).
+ * @property {any[]} [args] Parser callback arguments, indices as input offsets (callback).
+ * @property {number} [start] Section start as an input offset (section).
+ */
+
+/**
+ * Records what the lexer does, for debugging purposes.
+ * The retained log is replayable as it includes the written input.
+ * Entries are only retained when no sink receives them.
+ */
+export default class Tracer {
+    /** User-supplied entry receiver. @type {((entry: TraceEntry) => any) | null} */
+    sink;
+    /** Recorded entries, empty when a sink is given. @type {TraceEntry[]} */
+    log;
+
+    /**
+     * @param {(entry: TraceEntry) => any} [sink]
+     */
+    constructor(sink) {
+        this.sink = sink ?? null;
+        this.log = [];
+    }
+
+    /**
+     *
+     *
+     * @param {TraceEntry} entry
+     */
+    record(entry) {
+        if (this.sink) this.sink(entry);
+        else this.log.push(entry);
+    }
+
+    /**
+     * Wrap a parser so its callbacks are recorded before they're dispatched.
+     *
+     * @template {object} P
+     * @param {P} parser
+     * @param {import('./Lexer.js').default} lexer
+     * @returns {P}
+     */
+    wrap(parser, lexer) {
+        const tracer = this;
+
+        return new Proxy(parser, {
+            get(target, property) {
+                const value = target[property];
+                if (typeof value !== 'function' || typeof property !== 'string' || !property.startsWith('on')) return value;
+
+                return function (...args) {
+                    tracer.record({
+                        kind: Trace.CALLBACK,
+                        offset: lexer.offset + lexer.index,
+                        callback: property,
+                        args: args.map((arg, i) => typeof arg === 'number' && i !== nodeArguments[property] ? lexer.offset + arg : arg),
+                    });
+
+                    return value.apply(target, args);
+                };
+            },
+        });
+    }
+
+    /**
+     * Serialize the log, one tab-separated entry per line.
+     *
+     * @returns {string}
+     */
+    dump() {
+        return this.log.map(entry => {
+            switch (entry.kind) {
+                case Trace.WRITE: return [entry.kind, JSON.stringify(entry.chunk)].join('\t');
+                case Trace.STATE: return [entry.kind, entry.offset, entry.from, entry.to].join('\t');
+                case Trace.CALLBACK: return [entry.kind, entry.offset, entry.callback, ...entry.args.map(arg => JSON.stringify(arg) ?? 'null')].join('\t');
+                case Trace.SECTION: return [entry.kind, entry.offset, entry.start].join('\t');
+                default: return entry.kind;
+            }
+        }).join('\n');
+    }
+
+    /**
+     * Deserialize a dumped log.
+     *
+     * @param {string} dump
+     * @returns {TraceEntry[]}
+     */
+    static parse(dump) {
+        return dump.split('\n').filter(Boolean).map(line => {
+            const [kind, ...fields] = line.split('\t');
+
+            switch (kind) {
+                case Trace.WRITE: return { kind, chunk: JSON.parse(fields[0]) };
+                case Trace.STATE: return { kind, offset: +fields[0], from: fields[1], to: fields[2] };
+                case Trace.CALLBACK: return { kind, offset: +fields[0], callback: fields[1], args: fields.slice(2).map(arg => JSON.parse(arg)) };
+                case Trace.SECTION: return { kind, offset: +fields[0], start: +fields[1] };
+                default: return { kind };
+            }
+        });
+    }
+
+    /**
+     * Feed the input recorded in a log to a fresh lexer.
+     *
+     * @param {TraceEntry[] | string} log Entries or their dump.
+     * @param {import('./Lexer.js').default} lexer
+     * @returns {any} Whatever the lexer's end returns, if the log reached the end of input.
+     */
+    static replay(log, lexer) {
+        if (typeof log === 'string') log = Tracer.parse(log);
+
+        for (const entry of log) {
+            if (entry.kind === Trace.WRITE) lexer.write(entry.chunk);
+            else if (entry.kind === Trace.END) return lexer.end();
+        }
+    }
+}
@@ -0,0 +1,65 @@
+/**
+ * @template T
+ * @typedef TrieNode
+ * @property {Map<number, TrieNode<T>>} children Keyed by character code.
+ * @property {T | undefined} value Set on nodes ending a key.
+ */
+
+/**
+ * @template T
+ * @returns {TrieNode<T>}
+ */
+function node() {
+    return { children: new Map(), value: undefined };
+}
+
+/**
+ * Character-wise prefix tree, walked one character code at a time.
+ *
+ * @template T
+ */
+export default class Trie {
+    /** @readonly @type {TrieNode<T>} */
+    root;
+
+    /**
+     * @param {Iterable<[string, T]>} [entries = []]
+     */
+    constructor(entries = []) {
+        this.root = node();
+        for (const [key, value] of entries) this.set(key, value);
+    }
+
+    /**
+     *
+     *
+     * @param {string} key
+     * @param {T} value
+     * @returns {this}
+     */
+    set(key, value) {
+        let current = this.root;
+
+        for (let i = 0; i < key.length; ++i) {
+            const char = key.charCodeAt(i);
+            let next = current.children.get(char);
+            if (!next) current.children.set(char, next = node());
+            current = next;
+        }
+
+        current.value = value;
+        return this;
+    }
+
+    /**
+     *
+     *
+     * @param {string} key
+     * @returns {T | undefined}
+     */
+    get(key) {
+        let current = this.root;
+        for (let i = 0; current && i < key.length; ++i) current = current.children.get(key.charCodeAt(i));
+        return current?.value;
+    }
+}
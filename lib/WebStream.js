@@ -0,0 +1,103 @@
+import Feed from './Feed.js';
+
+/**
+ * @typedef {import('./index.js').Options & import('./Feed.js').FeedOptions} StreamOptions
+ */
+
+/**
+ * Promise paired with its settlers.
+ * 
+ * @template T
+ * @returns {{ promise: Promise<T>, resolve: (value: T) => void, reject: (reason: any) => void }}
+ */
+export function defer() {
+    let resolve, reject;
+    const promise = new Promise((res, rej) => (resolve = res, reject = rej));
+    promise.catch(() => {}); //: Rejections are surfaced by the stream itself too.
+    return { promise, resolve, reject };
+}
+
+/**
+ * WHATWG writable end of the parser, taking string or byte chunks.
+ */
+export class DocumentStream extends WritableStream {
+    /** Settles with the document once the stream closes. @readonly @type {Promise<import('./Handler.js').Tag>} */
+    document;
+
+    /**
+     * @param {StreamOptions} [options = {}] 
+     * @param {QueuingStrategy} [strategy] 
+     */
+    constructor(options = {}, strategy) {
+        const feed = new Feed(options);
+        const { promise, resolve, reject } = defer();
+
+        super({
+            write(chunk) {
+                try {
+                    feed.write(chunk);
+                } catch (error) {
+                    reject(error);
+                    throw error;
+                }
+            },
+            close() {
+                try {
+                    resolve(feed.end());
+                } catch (error) {
+                    reject(error);
+                    throw error;
+                }
+            },
+            abort(reason) {
+                reject(reason);
+            },
+        }, strategy);
+
+        this.document = promise;
+    }
+}
+
+/**
+ * WHATWG transform from markup chunks to handler events.
+ */
+export class EventStream extends TransformStream {
+    /** Settles with the document once the stream closes. @readonly @type {Promise<import('./Handler.js').Tag>} */
+    document;
+
+    /**
+     * @param {StreamOptions} [options = {}] 
+     * @param {QueuingStrategy} [writableStrategy] 
+     * @param {QueuingStrategy} [readableStrategy] 
+     */
+    constructor(options = {}, writableStrategy, readableStrategy) {
+        /** @type {TransformStreamDefaultController} */
+        let controller;
+        const feed = new Feed(options, event => controller.enqueue(event));
+        const { promise, resolve, reject } = defer();
+
+        super({
+            start(control) {
+                controller = control;
+            },
+            transform(chunk) {
+                try {
+                    feed.write(chunk);
+                } catch (error) {
+                    reject(error);
+                    throw error;
+                }
+            },
+            flush() {
+                try {
+                    resolve(feed.end());
+                } catch (error) {
+                    reject(error);
+                    throw error;
+                }
+            },
+        }, writableStrategy, readableStrategy);
+
+        this.document = promise;
+    }
+}
@@ -0,0 +1,101 @@
+import Lexer, { Quote, Content, Status, Conditionals } from './Lexer.js';
+import Parser, { Duplicate, SelfClosing } from './Parser.js';
+import Tokenizer, { TokenType } from './Tokenizer.js';
+import Handler, { Node, Tag, Text, Directive, Doctype, Template, Conditional, Element, Data } from './Handler.js';
+import { Mode } from './Doctype.js';
+import Tracer, { Trace } from './Tracer.js';
+import ParseError, { ErrorCode } from './ParseError.js';
+import sniff, { Confidence } from './Sniffer.js';
+import decode from './Decoder.js';
+import energize, { minify } from './Energizer.js';
+import serialize from './Serializer.js';
+import { DocumentStream, EventStream } from './WebStream.js';
+
+/** Input slice lexed between two token batches. @type {number} */
+const CHUNK_SIZE = 16384;
+
+/**
+ * Options shared by the three layers, each picks its own.
+ * @typedef {import('./Lexer.js').LexerOptions & import('./Parser.js').ParserOptions & import('./Handler.js').HandlerOptions} Options
+ */
+
+//: Traversal methods are installed once, on module evaluation.
+energize(Tag.prototype);
+
+export { Lexer, Parser, Handler, Tokenizer, Tracer, ParseError, Node, Tag, Text, Directive, Doctype, Template, Conditional, Element, Data, Mode, Quote, Content, Status, Conditionals, Duplicate, SelfClosing, TokenType, Trace, ErrorCode, Confidence, DocumentStream, EventStream, decode, sniff, minify, serialize };
+
+/**
+ * Wire a Lexer to a Parser to a Handler.
+ *
+ * @param {Options} [options = {}]
+ * @param {Partial<import('./Parser.js').Handler>} [handler = new Handler(options)]
+ * @returns {Lexer}
+ */
+export function createLexer(options = {}, handler = new Handler(options)) {
+    return new Lexer(new Parser(handler, true, options), true, options);
+}
+
+/**
+ * Parse a whole document.
+ *
+ * @param {string | Uint8Array} html Bytes have their encoding sniffed.
+ * @param {Options} [options = {}]
+ * @returns {Tag} Document node.
+ */
+export function parse(html, options = {}) {
+    return createLexer(options).end(html);
+}
+
+/**
+ * Parse a markup fragment, as the content of a context element if `options.context` names one.
+ * The context sets the content model lexing starts in (e.g. text in a `textarea`), and foreign content in `svg` and `math`.
+ *
+ * @param {string | Uint8Array} html
+ * @param {Options} [options = {}]
+ * @returns {Node[]} Top-level nodes.
+ */
+export function parseFragment(html, options = {}) {
+    return parse(html, options).children;
+}
+
+/**
+ * Tokenize a whole document lazily, slice by slice.
+ *
+ * @param {string | Uint8Array} html Bytes have their encoding sniffed.
+ * @param {import('./Lexer.js').LexerOptions & import('./Tokenizer.js').TokenizerOptions} [options = {}]
+ * @returns {Generator<import('./Tokenizer.js').Token, void, undefined>}
+ */
+export function* tokenize(html, options = {}) {
+    const tokenizer = new Tokenizer(options);
+    const lexer = new Lexer(tokenizer, true, options);
+
+    for (let i = 0; i < html.length; i += CHUNK_SIZE) {
+        const status = lexer.write(html.slice(i, i + CHUNK_SIZE));
+        yield* tokenizer.drain();
+        if (status === Status.STOPPED) break;
+    }
+
+    lexer.end();
+    yield* tokenizer.drain();
+}
+
+/**
+ * Tokenize a document as its chunks come.
+ *
+ * @param {AsyncIterable<string | Uint8Array> | Iterable<string | Uint8Array>} chunks Don't mix strings with bytes.
+ * @param {import('./Lexer.js').LexerOptions & import('./Tokenizer.js').TokenizerOptions} [options = {}]
+ * @returns {AsyncGenerator<import('./Tokenizer.js').Token, void, undefined>}
+ */
+export async function* tokenizeAsync(chunks, options = {}) {
+    const tokenizer = new Tokenizer(options);
+    const lexer = new Lexer(tokenizer, true, options);
+
+    for await (const chunk of chunks) {
+        const status = lexer.write(chunk);
+        yield* tokenizer.drain();
+        if (status === Status.STOPPED) break;
+    }
+
+    lexer.end();
+    yield* tokenizer.drain();
+}
@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, serialize, Duplicate, ErrorCode } from '../lib/index.js';
+
+const html = '<a id=1 ID=2 href=x id=3>';
+
+/**
+ * Attributes of the first element of the parsed input, with the error codes and offsets.
+ *
+ * @param {string} markup
+ * @param {import('../lib/index.js').Options} [options]
+ * @returns {[[string, any][], [string, number][]]}
+ */
+function attributes(markup, options) {
+    const document = parse(markup, { errors: true, ...options });
+    return [[...document.children[0].attributes], document.errors.map(({ code, offset }) => [code, offset])];
+}
+
+const duplicates = [[ErrorCode.DUPLICATE_ATTRIBUTE, 8], [ErrorCode.DUPLICATE_ATTRIBUTE, 20]];
+
+test('the first of duplicate attributes is kept by default', () => {
+    assert.deepEqual(attributes(html), [[['id', '1'], ['href', 'x']], duplicates]);
+    assert.deepEqual(attributes(html, { duplicates: Duplicate.FIRST }), [[['id', '1'], ['href', 'x']], duplicates]);
+});
+
+test('the last of duplicate attributes can be kept, in place of the first', () => {
+    assert.deepEqual(attributes(html, { duplicates: Duplicate.LAST }), [[['id', '3'], ['href', 'x']], duplicates]);
+});
+
+test('every duplicate attribute can be kept, listed in source order', () => {
+    assert.deepEqual(attributes(html, { duplicates: Duplicate.ALL }), [[['id', ['1', '2', '3']], ['href', 'x']], duplicates]);
+    assert.equal(serialize(parse(html, { duplicates: Duplicate.ALL })), '<a id="1" id="2" id="3" href="x"></a>');
+});
+
+test('attributes keep their source order', () => {
+    assert.deepEqual(attributes('<a z=1 a=2 m=3>')[0].map(([name]) => name), ['z', 'a', 'm']);
+});
+
+test('attribute names that are object keys are plain names', () => {
+    const [a] = parse('<a __proto__=x constructor=y hasOwnProperty=z>').children;
+    assert.ok(a.attributes instanceof Map);
+    assert.deepEqual([...a.attributes], [['__proto__', 'x'], ['constructor', 'y'], ['hasownproperty', 'z']]);
+});
+
+test('lossless mode writes dropped duplicates back', () => {
+    assert.equal(serialize(parse('<a id=1 id=2>', { lossless: true })), '<a id=1 id=2>');
+    assert.deepEqual(attributes('<a id=1 id=2>', { duplicates: Duplicate.LAST, lossless: true })[0], [['id', '2']]);
+});
@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLexer, parse, serialize, Conditionals, Conditional, Element } from '../lib/index.js';
+
+/**
+ * Plain outline of a tree: conditionals as [condition, revealed, markup, children], elements as [name, children].
+ *
+ * @param {import('../lib/Handler.js').Node} node
+ * @returns {any[]}
+ */
+function outline(node) {
+    if (node instanceof Conditional) return [node.condition, node.revealed, node.markup, node.children.map(outline)];
+    return node.type === Element.TAG ? [node.name, node.children.map(outline)] : [node.type, node.value];
+}
+
+/**
+ * Outline of the parsed input.
+ *
+ * @param {string} html
+ * @param {Conditionals} [conditionals]
+ * @returns {any[]}
+ */
+function parsed(html, conditionals) {
+    return parse(html, { conditionals }).children.map(outline);
+}
+
+const samples = [
+    '<!--[if mso]><b>x</b><![endif]-->y',
+    '<![if !IE]><p>all</p><![endif]>',
+    '<!--[if !IE]><!--><p>other</p><!--<![endif]-->',
+    '<!--[if gte IE 9]>a<![endif]--><!--[if IE 6]>b<![endif]-->',
+];
+
+test('conditional comments are plain comments by default', () => {
+    assert.deepEqual(parsed('<!--[if mso]><b>x</b><![endif]-->y'), [['comment', '[if mso]><b>x</b><![endif]'], ['text', 'y']]);
+});
+
+test('the opaque policy keeps the hidden markup as written', () => {
+    assert.deepEqual(parsed('<!--[if mso]><b>x</b><![endif]-->y', Conditionals.OPAQUE), [['mso', false, '<b>x</b>', []], ['text', 'y']]);
+});
+
+test('the parsed policy parses the hidden markup into children', () => {
+    assert.deepEqual(parsed('<!--[if mso]><b>x</b><![endif]-->y', Conditionals.PARSED), [['mso', false, null, [['b', [['text', 'x']]]]], ['text', 'y']]);
+    assert.deepEqual(parsed('<!--[if IE]>a<!--[if IE 6]>b<![endif]--><![endif]-->', Conditionals.PARSED), [['IE', false, null, [['text', 'a'], ['IE 6', false, null, [['text', 'b']]]]]]);
+});
+
+test('downlevel-revealed content is parsed under either policy', () => {
+    for (const conditionals of [Conditionals.OPAQUE, Conditionals.PARSED]) {
+        assert.deepEqual(parsed('<![if !IE]><p>all</p><![endif]>', conditionals), [['!IE', true, null, [['p', [['text', 'all']]]]]]);
+        assert.deepEqual(parsed('<!--[if !IE]><!--><p>other</p><!--<![endif]-->', conditionals), [['!IE', true, null, [['p', [['text', 'other']]]]]]);
+    }
+});
+
+test('conditionals serialize back to their syntax', () => {
+    for (const conditionals of [Conditionals.OPAQUE, Conditionals.PARSED]) {
+        for (const html of samples) assert.equal(serialize(parse(html, { conditionals })), html, `${conditionals}: ${html}`);
+    }
+
+    assert.equal(serialize(parse('<!--[if IE]>unterminated', { conditionals: Conditionals.PARSED })), '<!--[if IE]>unterminated');
+});
+
+test('conditionals split across chunks are whole', () => {
+    const html = samples.join('');
+
+    for (const conditionals of [Conditionals.OPAQUE, Conditionals.PARSED]) {
+        const lexer = createLexer({ conditionals });
+        for (const char of html) lexer.write(char);
+        assert.deepEqual(lexer.end().children.map(outline), parsed(html, conditionals), conditionals);
+    }
+});
+
+test('new conditionals write their syntax out of the condition', () => {
+    const hidden = new Conditional('lt IE 9', false, '<script src=x.js></script>');
+    const revealed = new Conditional('!IE', true);
+
+    assert.equal(serialize(hidden), '<!--[if lt IE 9]><script src=x.js></script><![endif]-->');
+    assert.equal(serialize(revealed), '<!--[if !IE]><!--><!--<![endif]-->');
+});
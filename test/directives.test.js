@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLexer, parse, serialize, Data } from '../lib/index.js';
+
+/**
+ * Target, data and pseudo-attributes of the first processing instruction of the parsed input.
+ *
+ * @param {string} markup
+ * @param {import('../lib/index.js').Options} [options = { xml: true }]
+ * @returns {[string, string, [string, string][] | null]}
+ */
+function instruction(markup, options = { xml: true }) {
+    const directive = /** @type {any} */ (parse(markup, options).children.find(node => node.type === Data.DIRECTIVE));
+    return [directive.target, directive.data, directive.attributes && [...directive.attributes]];
+}
+
+test('processing instructions are split into target and data', () => {
+    assert.deepEqual(instruction('<?php echo 1; ?><r/>'), ['php', 'echo 1;', null]);
+    assert.deepEqual(instruction('<?target?><r/>'), ['target', '', null]);
+});
+
+test('data following the attribute syntax is parsed into pseudo-attributes', () => {
+    assert.deepEqual(instruction('<?xml version="1.0" encoding="utf-8"?><r/>'), ['xml', 'version="1.0" encoding="utf-8"', [['version', '1.0'], ['encoding', 'utf-8']]]);
+    assert.deepEqual(instruction('<?xml-stylesheet href="a.xsl" type="text/xsl"?><r/>'), ['xml-stylesheet', 'href="a.xsl" type="text/xsl"', [['href', 'a.xsl'], ['type', 'text/xsl']]]);
+    assert.deepEqual(instruction("<?pi a='1' ?><r/>"), ['pi', "a='1'", [['a', '1']]]);
+});
+
+test('data following no attribute syntax has no pseudo-attributes', () => {
+    assert.deepEqual(instruction('<?pi a=1 b?><r/>'), ['pi', 'a=1 b', null]);
+});
+
+test('processing instructions end at the first ?> in XML', () => {
+    assert.deepEqual(instruction('<?php echo "?>"; ?>'), ['php', 'echo "', null]);
+});
+
+test('processing instructions reach the tree in HTML too', () => {
+    assert.deepEqual(instruction('<?xml version="1.0"?>x', {}), ['xml', 'version="1.0"', [['version', '1.0']]]);
+    assert.equal(serialize(parse('<?xml version="1.0"?>x')), '<?xml version="1.0"?>x');
+});
+
+test('processing instructions split across chunks are whole', () => {
+    const lexer = createLexer({ xml: true });
+    for (const chunk of ['<?xml-sty', 'lesheet hr', 'ef="a.xsl"?', '><r/>']) lexer.write(chunk);
+
+    const [directive] = /** @type {any[]} */ (lexer.end().children);
+    assert.deepEqual([directive.target, [...directive.attributes]], ['xml-stylesheet', [['href', 'a.xsl']]]);
+});
+
+test('lossless mode writes processing instructions back as is', () => {
+    for (const markup of ['<?php x ?>', '<?xml  version="1.0" ?>']) assert.equal(serialize(parse(markup, { lossless: true })), markup);
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, tokenize, Doctype, Mode, ErrorCode, TokenType } from '../lib/index.js';
+
+/**
+ * Mode a document starting with the doctype is parsed in.
+ * 
+ * @param {string} doctype 
+ * @returns {Mode}
+ */
+function mode(doctype) {
+    return parse(`${doctype}<p>x`).mode;
+}
+
+test('doctype names and identifiers are lexed out', () => {
+    const [doctype] = parse(`<!DOCTYPE HTML PUBLIC "-//W3C//DTD HTML 4.01//EN" 'http://www.w3.org/TR/html4/strict.dtd'>`).children;
+
+    assert.ok(doctype instanceof Doctype);
+    assert.equal(doctype.name, 'html');
+    assert.equal(doctype.publicId, '-//W3C//DTD HTML 4.01//EN');
+    assert.equal(doctype.systemId, 'http://www.w3.org/TR/html4/strict.dtd');
+    assert.equal(doctype.forceQuirks, false);
+});
+
+test('doctypes set the document mode', () => {
+    assert.equal(mode('<!DOCTYPE html>'), Mode.NO_QUIRKS);
+    assert.equal(mode('<!doctype html system "about:legacy-compat">'), Mode.NO_QUIRKS);
+    assert.equal(mode('<!DOCTYPE html PUBLIC "-//W3C//DTD HTML 4.01//EN">'), Mode.NO_QUIRKS);
+
+    assert.equal(mode(''), Mode.QUIRKS);
+    assert.equal(mode('<!DOCTYPE>'), Mode.QUIRKS);
+    assert.equal(mode('<!DOCTYPE svg>'), Mode.QUIRKS);
+    assert.equal(mode('<!DOCTYPE html PUBLIC "-//W3O//DTD W3 HTML Strict 3.0//EN//">'), Mode.QUIRKS);
+    assert.equal(mode('<!DOCTYPE html PUBLIC "-//IETF//DTD HTML 2.0//EN">'), Mode.QUIRKS);
+    assert.equal(mode('<!DOCTYPE html SYSTEM "http://www.ibm.com/data/dtd/v11/ibmxhtml1-transitional.dtd">'), Mode.QUIRKS);
+    assert.equal(mode('<!DOCTYPE html PUBLIC "-//W3C//DTD HTML 4.01 Transitional//EN">'), Mode.QUIRKS);
+
+    assert.equal(mode('<!DOCTYPE html PUBLIC "-//W3C//DTD HTML 4.01 Transitional//EN" "http://www.w3.org/TR/html4/loose.dtd">'), Mode.LIMITED_QUIRKS);
+    assert.equal(mode('<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN">'), Mode.LIMITED_QUIRKS);
+});
+
+test('malformed doctypes force quirks mode', () => {
+    for (const [doctype, error] of [
+        ['<!DOCTYPE html PUBLIC>', ErrorCode.MISSING_DOCTYPE_PUBLIC_IDENTIFIER],
+        ['<!DOCTYPE html PUBLIC "a>', ErrorCode.ABRUPT_DOCTYPE_PUBLIC_IDENTIFIER],
+        ['<!DOCTYPE html SYSTEM x>', ErrorCode.MISSING_QUOTE_BEFORE_DOCTYPE_SYSTEM_IDENTIFIER],
+        ['<!DOCTYPE html foo>', ErrorCode.INVALID_CHARACTER_SEQUENCE_AFTER_DOCTYPE_NAME],
+        ['<!DOCTYPE html', ErrorCode.EOF_IN_DOCTYPE],
+    ]) {
+        const document = parse(doctype, { errors: true });
+
+        assert.equal(document.children[0].forceQuirks, true, doctype);
+        assert.equal(document.mode, Mode.QUIRKS, doctype);
+        assert.deepEqual(document.errors.map(({ code }) => code), [error], doctype);
+    }
+});
+
+test('characters after the system identifier leave the doctype bogus, yet not quirky', () => {
+    const document = parse('<!DOCTYPE html SYSTEM "about:legacy-compat" x>', { errors: true });
+
+    assert.equal(document.children[0].forceQuirks, false);
+    assert.equal(document.mode, Mode.NO_QUIRKS);
+    assert.deepEqual(document.errors.map(({ code }) => code), [ErrorCode.UNEXPECTED_CHARACTER_AFTER_DOCTYPE_SYSTEM_IDENTIFIER]);
+});
+
+test('doctype tokens carry their name and identifiers', () => {
+    const [token] = tokenize(`<!doctype html public 'a' "b">`);
+
+    assert.deepEqual(token, { type: TokenType.DOCTYPE, value: `doctype html public 'a' "b"`, name: 'html', publicId: 'a', systemId: 'b', forceQuirks: false });
+});
@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLexer, parse, Content, Element } from '../lib/index.js';
+
+/**
+ * Top-level nodes of the parsed input, elements with what their children are.
+ *
+ * @param {string} html
+ * @param {import('../lib/index.js').Options} [options]
+ * @returns {([string, string[]] | string)[]}
+ */
+function contents(html, options) {
+    return parse(html, options).children.map(node => node.type === Element.TAG ? [node.name, node.children.map(child => child.type === Element.TAG ? `<${child.name}>` : child.value)] : node.value);
+}
+
+test('raw text elements hold their content as text, up to their end tag', () => {
+    for (const name of ['iframe', 'noembed', 'noframes', 'noscript', 'style', 'xmp', 'script']) {
+        assert.deepEqual(contents(`<${name}><b>&amp;</b></${name.toUpperCase()}><i>`), [[name, ['<b>&amp;</b>']], ['i', []]], name);
+    }
+});
+
+test('plaintext holds the rest of the input', () => {
+    assert.deepEqual(contents('<plaintext><b></plaintext><i>'), [['plaintext', ['<b></plaintext><i>']]]);
+});
+
+test('only the element\'s own end tag ends it', () => {
+    assert.deepEqual(contents('<style>a</styles></style>'), [['style', ['a</styles>']]]);
+    assert.deepEqual(contents('<style>a</style >b'), [['style', ['a']], 'b']);
+    assert.deepEqual(contents('<styles><b>x</b></styles>'), [['styles', ['<b>']]]);
+});
+
+test('the elements option registers content models over the defaults', () => {
+    assert.deepEqual(contents('<i18n><b>x</b></i18n><i>', { elements: { i18n: Content.RAW_TEXT } }), [['i18n', ['<b>x</b>']], ['i', []]]);
+    assert.deepEqual(contents('<I18N><b>&amp;</b></i18n><i>', { elements: { I18n: Content.ESCAPABLE_RAW_TEXT } }), [['i18n', ['<b>&</b>']], ['i', []]]);
+});
+
+test('the elements option unregisters defaults with null', () => {
+    assert.deepEqual(contents('<noscript><b>x</b></noscript><i>', { elements: { noscript: null } }), [['noscript', ['<b>']], ['i', []]]);
+});
+
+test('elements are defined per lexer instance', () => {
+    const lexer = createLexer();
+    assert.equal(lexer.define('x-raw', Content.RAW_TEXT), lexer);
+    lexer.write('<x-raw><b></x-');
+    lexer.write('raw><b>');
+
+    const [raw, b] = lexer.end().children;
+    assert.equal(raw.children[0].value, '<b>');
+    assert.equal(b.name, 'b');
+
+    assert.deepEqual(contents('<x-raw><b></x-raw>'), [['x-raw', ['<b>']]]);
+});
+
+test('XML mode registers nothing by default', () => {
+    assert.deepEqual(contents('<style><b/></style>', { xml: true }), [['style', ['<b>']]]);
+    assert.deepEqual(contents('<style><b/></style>', { xml: true, elements: { style: Content.RAW_TEXT } }), [['style', ['<b/>']]]);
+});
@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLexer, parse, serialize, sniff, Confidence } from '../lib/index.js';
+
+/**
+ * Bytes of a string, one per character.
+ *
+ * @param {string} latin Characters up to U+00FF.
+ * @returns {Uint8Array}
+ */
+function bytes(latin) {
+    return Uint8Array.from(latin, char => char.charCodeAt(0));
+}
+
+const utf8 = new TextEncoder();
+
+test('a byte order mark is certain', () => {
+    assert.deepEqual(sniff(new Uint8Array([0xef, 0xbb, 0xbf, 0x3c])), { encoding: 'utf-8', confidence: Confidence.CERTAIN });
+    assert.deepEqual(sniff(new Uint8Array([0xfe, 0xff])), { encoding: 'utf-16be', confidence: Confidence.CERTAIN });
+    assert.deepEqual(sniff(new Uint8Array([0xff, 0xfe])), { encoding: 'utf-16le', confidence: Confidence.CERTAIN });
+
+    //: Over the transport layer too.
+    assert.equal(sniff(new Uint8Array([0xef, 0xbb, 0xbf]), { transport: 'koi8-r' }).encoding, 'utf-8');
+});
+
+test('a transport layer charset is certain, when supported', () => {
+    assert.deepEqual(sniff(bytes('<meta charset=shift_jis>'), { transport: 'utf-8' }), { encoding: 'utf-8', confidence: Confidence.CERTAIN });
+    assert.deepEqual(sniff(bytes('<p>'), { transport: ' Latin1 ' }), { encoding: 'windows-1252', confidence: Confidence.CERTAIN });
+    assert.deepEqual(sniff(bytes('<p>'), { transport: 'bogus' }), { encoding: 'windows-1252', confidence: Confidence.TENTATIVE });
+});
+
+test('the prescan finds a meta charset', () => {
+    const tentative = (markup, encoding) => assert.deepEqual(sniff(bytes(markup)), { encoding, confidence: Confidence.TENTATIVE }, markup);
+
+    tentative('<meta charset="iso-8859-2">', 'iso-8859-2');
+    tentative('<!DOCTYPE html><html><head><META CHARSET=UTF-8>', 'utf-8');
+    tentative('<meta/charset=utf-8>', 'utf-8');
+    tentative('<meta http-equiv="Content-Type" content="text/html; charset=koi8-r">', 'koi8-r');
+
+    //: A content charset only counts with its pragma.
+    tentative('<meta content="text/html; charset=koi8-r">', 'windows-1252');
+
+    //: UTF-16 can't be declared in ASCII-compatible bytes.
+    tentative('<meta charset=utf-16le>', 'utf-8');
+    tentative('<meta charset=x-user-defined>', 'windows-1252');
+    tentative('<meta charset=nonsense>', 'windows-1252');
+});
+
+test('the prescan skips what only looks like a meta', () => {
+    assert.equal(sniff(bytes('<!-- <meta charset=utf-8> --><p>')).encoding, 'windows-1252');
+    assert.equal(sniff(bytes('<a title="<meta charset=utf-8>">')).encoding, 'windows-1252');
+    assert.equal(sniff(bytes(' '.repeat(1024) + '<meta charset=utf-8>')).encoding, 'windows-1252');
+});
+
+test('the fallback is settled for when nothing tells', () => {
+    assert.deepEqual(sniff(bytes('<p>x</p>')), { encoding: 'windows-1252', confidence: Confidence.TENTATIVE });
+    assert.deepEqual(sniff(bytes('<p>x</p>'), { fallback: 'utf-8' }), { encoding: 'utf-8', confidence: Confidence.TENTATIVE });
+});
+
+test('byte input is decoded in its sniffed encoding, kept on the document', () => {
+    const declared = parse(utf8.encode('<meta charset=utf-8><p>café</p>'));
+    assert.equal(serialize(declared), '<meta charset="utf-8"><p>café</p>');
+    assert.deepEqual(declared.encoding, { name: 'utf-8', confidence: Confidence.TENTATIVE });
+
+    const marked = parse(new Uint8Array([0xef, 0xbb, 0xbf, ...utf8.encode('<p>é</p>')]));
+    assert.equal(serialize(marked), '<p>é</p>');
+    assert.deepEqual(marked.encoding, { name: 'utf-8', confidence: Confidence.CERTAIN });
+
+    assert.equal(serialize(parse(bytes('<p>caf\xe9</p>'))), '<p>café</p>');
+    assert.equal(parse('<p>x</p>').encoding, undefined);
+});
+
+test('the encoding options go to the sniffer', () => {
+    const transported = parse(bytes('<meta charset=utf-8><p>\xe9</p>'), { encoding: 'iso-8859-7' });
+    assert.equal(transported.children[1].children[0].value, 'ι');
+    assert.deepEqual(transported.encoding, { name: 'iso-8859-7', confidence: Confidence.CERTAIN });
+
+    const fallen = parse(utf8.encode('<p>é</p>'), { defaultEncoding: 'utf-8' });
+    assert.equal(serialize(fallen), '<p>é</p>');
+    assert.deepEqual(fallen.encoding, { name: 'utf-8', confidence: Confidence.TENTATIVE });
+});
+
+test('byte chunks are held until sniffed, whatever their size', () => {
+    const input = utf8.encode(`<html><head><meta charset="utf-8"></head><body>${'ä'.repeat(600)}</body></html>`);
+    const expected = serialize(parse(input));
+    assert.ok(expected.includes('ää'));
+
+    for (const size of [1, 3, 100, 1500]) {
+        const lexer = createLexer();
+        for (let i = 0; i < input.length; i += size) lexer.write(input.subarray(i, i + size));
+        assert.equal(serialize(lexer.end()), expected, `chunks of ${size}`);
+    }
+});
+
+test('the byte order mark is kept in lossless mode', () => {
+    assert.equal(serialize(parse(new Uint8Array([0xef, 0xbb, 0xbf, 0x61]), { lossless: true })), '\uFEFFa');
+    assert.equal(serialize(parse(new Uint8Array([0xef, 0xbb, 0xbf, 0x61]))), 'a');
+});
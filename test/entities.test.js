@@ -0,0 +1,121 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLexer, parse, decode, ErrorCode } from '../lib/index.js';
+import { ROOT, step, terminal, legacy } from '../lib/Decoder.js';
+
+/**
+ * Text and title of a paragraph holding the markup, with the codes of the errors it raised.
+ * 
+ * @param {string} markup 
+ * @returns {[string, string, string[]]}
+ */
+function parsed(markup) {
+    const document = parse(`<p title="${markup}">${markup}|</p>`, { errors: true });
+    const [p] = document.children;
+    return [p.children[0].value.slice(0, -1), p.attributes.get('title'), document.errors.map(({ code }) => code)];
+}
+
+test('numeric references decode astral code points', () => {
+    assert.equal(decode('#128512'), '\u{1F600}');
+    assert.equal(decode('#x1F600'), '\u{1F600}');
+    assert.equal(decode('#X41'), 'A');
+});
+
+test('numeric references in the C1 range follow the windows-1252 table', () => {
+    const codes = [];
+    assert.equal(decode('#150', code => codes.push(code)), '–');
+    assert.equal(decode('#x80'), '€');
+    assert.equal(decode('#x9F'), 'Ÿ');
+    assert.deepEqual(codes, [ErrorCode.CONTROL_CHARACTER_REFERENCE]);
+
+    //: Unmapped C1 code points stand for themselves.
+    assert.equal(decode('#x81'), '\x81');
+});
+
+test('null, surrogate and out-of-range numeric references become U+FFFD', () => {
+    for (const [entity, error] of [
+        ['#0', ErrorCode.NULL_CHARACTER_REFERENCE],
+        ['#xD800', ErrorCode.SURROGATE_CHARACTER_REFERENCE],
+        ['#xDFFF', ErrorCode.SURROGATE_CHARACTER_REFERENCE],
+        ['#x110000', ErrorCode.CHARACTER_REFERENCE_OUTSIDE_UNICODE_RANGE],
+        ['#99999999999999999999', ErrorCode.CHARACTER_REFERENCE_OUTSIDE_UNICODE_RANGE],
+    ]) {
+        const codes = [];
+        assert.equal(decode(entity, code => codes.push(code)), '�', entity);
+        assert.deepEqual(codes, [error], entity);
+    }
+});
+
+test('noncharacter and control numeric references are kept, with an error', () => {
+    const codes = [];
+    assert.equal(decode('#xFFFE', code => codes.push(code)), '￾');
+    assert.equal(decode('#1', code => codes.push(code)), '\x01');
+    assert.deepEqual(codes, [ErrorCode.NONCHARACTER_CHARACTER_REFERENCE, ErrorCode.CONTROL_CHARACTER_REFERENCE]);
+});
+
+test('numeric references without digits stay as written', () => {
+    assert.equal(decode('#xZZ'), undefined);
+    assert.deepEqual(parsed('&#;'), ['&#;', '&#;', [ErrorCode.ABSENCE_OF_DIGITS_IN_NUMERIC_CHARACTER_REFERENCE, ErrorCode.ABSENCE_OF_DIGITS_IN_NUMERIC_CHARACTER_REFERENCE]]);
+    assert.deepEqual(parsed('&#65a'), ['Aa', 'Aa', [ErrorCode.MISSING_SEMICOLON_AFTER_CHARACTER_REFERENCE, ErrorCode.MISSING_SEMICOLON_AFTER_CHARACTER_REFERENCE]]);
+});
+
+test('legacy named references match their longest prefix', () => {
+    assert.deepEqual(parsed('&copy2024'), ['©2024', '&copy2024', [ErrorCode.MISSING_SEMICOLON_AFTER_CHARACTER_REFERENCE]]);
+    assert.deepEqual(parsed('&notit;'), ['¬it;', '&notit;', [ErrorCode.MISSING_SEMICOLON_AFTER_CHARACTER_REFERENCE]]);
+    assert.deepEqual(parsed('&notin;'), ['∉', '∉', []]);
+    assert.equal(parsed('&frac12x')[0], '½x');
+    assert.equal(parsed('&ampx')[0], '&x');
+    assert.equal(parsed('&copy&amp')[0], '©&');
+});
+
+test('only legacy named references go without a semicolon', () => {
+    assert.deepEqual(parsed('&hellip'), ['&hellip', '&hellip', []]);
+    assert.deepEqual(parsed('&aacut'), ['&aacut', '&aacut', []]);
+    assert.deepEqual(parsed('&foo;'), ['&foo;', '&foo;', [ErrorCode.UNKNOWN_NAMED_CHARACTER_REFERENCE, ErrorCode.UNKNOWN_NAMED_CHARACTER_REFERENCE]]);
+});
+
+test('legacy named references followed by an alphanumeric or equals sign stay as written in attribute values', () => {
+    const href = markup => parse(`<a href="${markup}">`).children[0].attributes.get('href');
+
+    assert.equal(href('?a=1&copy=2'), '?a=1&copy=2');
+    assert.equal(href('?a=1&copy2'), '?a=1&copy2');
+    assert.equal(href('?a=1&copy;=2'), '?a=1©=2');
+    assert.equal(href('?a=1&not'), '?a=1¬');
+});
+
+test('legacy named references are matched across chunks', () => {
+    const lexer = createLexer();
+    for (const char of '<p>&no|&notit;') lexer.write(char);
+
+    assert.equal(lexer.end().children[0].children[0].value, '&no|¬it;');
+});
+
+test('named references decode whole names only', () => {
+    assert.equal(decode('amp'), '&');
+    assert.equal(decode('notin'), '∉');
+    assert.equal(decode('am'), undefined);
+    assert.equal(decode('constructor'), undefined);
+});
+
+test('named references decode to their spec characters', () => {
+    assert.equal(decode('veebar'), '⊻');
+    assert.equal(decode('nbsp'), '\u00A0');
+    assert.equal(decode('cfr'), '𝔠');
+    assert.equal(decode('NotSquareSubset'), '⊏̸');
+    assert.equal(decode('NestedLessLess'), '≪');
+    assert.equal(decode('oacute'), 'ó');
+    assert.equal(parsed('&veebar;&rang;&square;')[0], '⊻⟩□');
+});
+
+test('the named references trie is walked one character at a time', () => {
+    /**
+     * @param {string} name 
+     * @returns {number}
+     */
+    const walk = name => [...name].reduce((node, char) => node < 0 ? node : step(node, char.charCodeAt(0)), ROOT);
+
+    assert.ok(terminal(walk('not')) && legacy(walk('not')));
+    assert.ok(terminal(walk('notin')) && !legacy(walk('notin')));
+    assert.ok(walk('noti') >= 0 && !terminal(walk('noti')));
+    assert.ok(walk('notx') < 0);
+});
@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLexer, parse, serialize, ErrorCode, Mode } from '../lib/index.js';
+
+/**
+ * Serialized tree and error codes of the input cut short.
+ *
+ * @param {string} html
+ * @returns {[string, string[]]}
+ */
+function flushed(html) {
+    const document = parse(html, { errors: true });
+    return [serialize(document), document.errors.map(({ code }) => code)];
+}
+
+test('a tag opening at the end of input is text', () => {
+    assert.deepEqual(flushed('a<'), ['a&lt;', [ErrorCode.EOF_BEFORE_TAG_NAME]]);
+    assert.deepEqual(flushed('a</'), ['a&lt;/', [ErrorCode.EOF_BEFORE_TAG_NAME]]);
+});
+
+test('a truncated tag is dropped', () => {
+    assert.deepEqual(flushed('a<div class="x'), ['a', [ErrorCode.EOF_IN_TAG]]);
+    assert.deepEqual(flushed('a<div x'), ['a', [ErrorCode.EOF_IN_TAG]]);
+    assert.deepEqual(flushed('a</div'), ['a', [ErrorCode.EOF_IN_TAG]]);
+});
+
+test('a reference at the end of input is decoded as if terminated there', () => {
+    assert.deepEqual(flushed('x &amp'), ['x &amp;', [ErrorCode.MISSING_SEMICOLON_AFTER_CHARACTER_REFERENCE]]);
+    assert.deepEqual(flushed('x &notit'), ['x ¬it', [ErrorCode.MISSING_SEMICOLON_AFTER_CHARACTER_REFERENCE]]);
+    assert.deepEqual(flushed('x &lang'), ['x &amp;lang', []]);
+    assert.deepEqual(flushed('x &#65'), ['x A', [ErrorCode.MISSING_SEMICOLON_AFTER_CHARACTER_REFERENCE]]);
+});
+
+test('a comment is emitted without its partial closing', () => {
+    for (const html of ['<!-- c', '<!-- c -', '<!-- c --', '<!-- c --!']) assert.deepEqual(flushed(html), ['<!--c-->', [ErrorCode.EOF_IN_COMMENT]], html);
+
+    //: Bogus comments, from an incomplete opening.
+    assert.deepEqual(flushed('<!'), ['<!---->', [ErrorCode.INCORRECTLY_OPENED_COMMENT]]);
+    assert.deepEqual(flushed('<!-'), ['<!----->', [ErrorCode.INCORRECTLY_OPENED_COMMENT]]);
+});
+
+test('a CDATA section keeps the brackets that had not closed it', () => {
+    assert.deepEqual(flushed('<svg><![CDATA[x'), ['<svg><![CDATA[x]]></svg>', [ErrorCode.EOF_IN_CDATA]]);
+    assert.deepEqual(flushed('<svg><![CDATA[x]]'), ['<svg><![CDATA[x]]]]></svg>', [ErrorCode.EOF_IN_CDATA]]);
+});
+
+test('a doctype cut short forces quirks mode', () => {
+    for (const html of ['<!DOCTYPE', '<!DOCTYPE html', '<!DOCTYPE html PUBLIC "-//x']) {
+        const document = parse(html, { errors: true });
+        const [doctype] = /** @type {any[]} */ (document.children);
+
+        assert.equal(document.mode, Mode.QUIRKS, html);
+        assert.equal(doctype.forceQuirks, true, html);
+        assert.deepEqual(document.errors.map(({ code }) => code), [ErrorCode.EOF_IN_DOCTYPE], html);
+    }
+
+    assert.equal(/** @type {any} */ (parse('<!DOCTYPE html').children[0]).name, 'html');
+    assert.equal(parse('<!DOCTYPE html>').mode, Mode.NO_QUIRKS);
+});
+
+test('text content runs to the end of input', () => {
+    assert.deepEqual(flushed('<title>a &amp'), ['<title>a &amp;</title>', [ErrorCode.MISSING_SEMICOLON_AFTER_CHARACTER_REFERENCE]]);
+    assert.deepEqual(flushed('<textarea>x'), ['<textarea>x</textarea>', []]);
+    assert.deepEqual(flushed('<style>a</sty'), ['<style>a</sty</style>', []]);
+    assert.deepEqual(flushed('<script>a</'), ['<script>a</</script>', []]);
+    assert.deepEqual(flushed('<script><!-- x'), ['<script><!-- x</script>', [ErrorCode.EOF_IN_SCRIPT_HTML_COMMENT_LIKE_TEXT]]);
+    assert.deepEqual(flushed('<plaintext>a<b>'), ['<plaintext>a<b></plaintext>', []]);
+});
+
+test('the end of input flushes the same whatever the chunks', () => {
+    for (const html of ['x &notit', '<!-- c --', '<svg><![CDATA[x]]', '<!DOCTYPE html PUB', '<script><!-- x', 'a<div class="x']) {
+        const expected = flushed(html);
+        const lexer = createLexer({ errors: true });
+        for (const char of html) lexer.write(char);
+
+        const document = lexer.end();
+        assert.deepEqual([serialize(document), document.errors.map(({ code }) => code)], expected, html);
+    }
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLexer, parse, serialize, ParseError, ErrorCode } from '../lib/index.js';
+
+/**
+ * Codes and offsets of the errors parsing the input reports.
+ *
+ * @param {string} html
+ * @returns {[string, number][]}
+ */
+function errors(html) {
+    return parse(html, { errors: true }).errors.map(({ code, offset }) => [code, offset]);
+}
+
+test('tokenization errors are reported at the offending character', () => {
+    assert.deepEqual(errors('<a b="1"c>'), [[ErrorCode.MISSING_WHITESPACE_BETWEEN_ATTRIBUTES, 8]]);
+    assert.deepEqual(errors('<a =x>'), [[ErrorCode.UNEXPECTED_EQUALS_SIGN_BEFORE_ATTRIBUTE_NAME, 3]]);
+    assert.deepEqual(errors('<a x=a"b>'), [[ErrorCode.UNEXPECTED_CHARACTER_IN_UNQUOTED_ATTRIBUTE_VALUE, 6]]);
+    assert.deepEqual(errors('<3'), [[ErrorCode.INVALID_FIRST_CHARACTER_OF_TAG_NAME, 1]]);
+    assert.deepEqual(errors('<?x?>'), [[ErrorCode.UNEXPECTED_QUESTION_MARK_INSTEAD_OF_TAG_NAME, 1]]);
+    assert.deepEqual(errors('</>'), [[ErrorCode.MISSING_END_TAG_NAME, 2]]);
+    assert.deepEqual(errors('<!-->'), [[ErrorCode.ABRUPT_CLOSING_OF_EMPTY_COMMENT, 4]]);
+    assert.deepEqual(errors('<!-- a --!>'), [[ErrorCode.INCORRECTLY_CLOSED_COMMENT, 10]]);
+    assert.deepEqual(errors('<!doctype>'), [[ErrorCode.MISSING_DOCTYPE_NAME, 9]]);
+    assert.deepEqual(errors('a\0b'), [[ErrorCode.UNEXPECTED_NULL_CHARACTER, 1]]);
+});
+
+test('character reference errors are reported at their ampersand', () => {
+    assert.deepEqual(errors('&#0;'), [[ErrorCode.NULL_CHARACTER_REFERENCE, 0]]);
+    assert.deepEqual(errors('x &#x110000;'), [[ErrorCode.CHARACTER_REFERENCE_OUTSIDE_UNICODE_RANGE, 2]]);
+    assert.deepEqual(errors('x &qqq;'), [[ErrorCode.UNKNOWN_NAMED_CHARACTER_REFERENCE, 2]]);
+    //: &not|anentity; The missing semicolon is reported where it's missing.
+    assert.deepEqual(errors('x &notanentity;'), [[ErrorCode.MISSING_SEMICOLON_AFTER_CHARACTER_REFERENCE, 6]]);
+});
+
+test('tree construction errors are reported at the start of their tag', () => {
+    assert.deepEqual(errors('<p></div>'), [[ErrorCode.END_TAG_WITHOUT_MATCHING_OPEN_ELEMENT, 3]]);
+    assert.deepEqual(errors('<div/>'), [[ErrorCode.NON_VOID_HTML_ELEMENT_START_TAG_WITH_TRAILING_SOLIDUS, 0]]);
+    assert.deepEqual(errors('</a b>'), [[ErrorCode.END_TAG_WITH_ATTRIBUTES, 4], [ErrorCode.END_TAG_WITHOUT_MATCHING_OPEN_ELEMENT, 0]]);
+    assert.deepEqual(errors('<br/><img/>'), []);
+});
+
+test('a </br> end tag is reported, and taken for a <br> start tag', () => {
+    const document = parse('<p>a</br>b</p>', { errors: true });
+
+    assert.deepEqual(document.errors.map(({ code, offset }) => [code, offset]), [[ErrorCode.END_TAG_WITHOUT_MATCHING_OPEN_ELEMENT, 4]]);
+    assert.equal(serialize(document), '<p>a<br>b</p>');
+});
+
+test('end of input errors are reported at its offset', () => {
+    assert.deepEqual(errors('<!-- x'), [[ErrorCode.EOF_IN_COMMENT, 6]]);
+    assert.deepEqual(errors('<p>\n  <a'), [[ErrorCode.EOF_IN_TAG, 8]]);
+});
+
+test('well-formed markup reports nothing', () => {
+    assert.deepEqual(errors('<!DOCTYPE html><p class="a" id=b>x &amp; y<br><!-- c --></p>'), []);
+});
+
+test('errors carry their position when locations are tracked', () => {
+    const [error] = parse('<p>\n  <a x="1"y>', { errors: true, locations: true }).errors;
+
+    assert.ok(error instanceof ParseError);
+    assert.equal(error.name, 'ParseError');
+    assert.equal(error.code, ErrorCode.MISSING_WHITESPACE_BETWEEN_ATTRIBUTES);
+    assert.deepEqual(error.position, { offset: 14, line: 2, column: 11 });
+    assert.equal(error.message, `${ErrorCode.MISSING_WHITESPACE_BETWEEN_ATTRIBUTES} (2:11)`);
+
+    const [unlocated] = parse('<a =x>', { errors: true }).errors;
+    assert.equal(unlocated.position, undefined);
+    assert.equal(unlocated.message, `${ErrorCode.UNEXPECTED_EQUALS_SIGN_BEFORE_ATTRIBUTE_NAME} (3)`);
+});
+
+test('errors are handed to onError, and only collected when asked to', () => {
+    const received = [];
+    const document = parse('<a =x></b>', { onError: error => received.push(error.code) });
+
+    assert.deepEqual(received, [ErrorCode.UNEXPECTED_EQUALS_SIGN_BEFORE_ATTRIBUTE_NAME, ErrorCode.END_TAG_WITHOUT_MATCHING_OPEN_ELEMENT]);
+    assert.equal(document.errors, undefined);
+});
+
+test('offsets are the same whatever the chunks', () => {
+    const html = `<div>\n<a b="1"c>&#0; </span><!-- x`;
+    const expected = errors(html);
+
+    for (const size of [1, 2, 5]) {
+        const lexer = createLexer({ errors: true });
+        for (let i = 0; i < html.length; i += size) lexer.write(html.slice(i, i + size));
+        assert.deepEqual(lexer.end().errors.map(({ code, offset }) => [code, offset]), expected, `chunks of ${size}`);
+    }
+});
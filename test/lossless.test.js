@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLexer, parse, serialize, ErrorCode } from '../lib/index.js';
+
+const samples = [
+    `<!DOCTYPE html>\r\n<HTML Lang=en>\n  <head><title>A &amp; B</title></head>\n<body class="a  b" data-x='1' hidden>\n<p>Hi &copy there &lt;b&gt;<br/>\n<img src=x.png   alt = "y" >\n<!-- c --> <?php x ?>\n<script>if (a < b) {}</script>\n<ul><li>one<li>two</ul></p>\n<a href="?a=1&b=2">l</a></Body></HTML>\n  `,
+    `\uFEFFtext only &notit; &#x41; &#X1f600 tail`,
+    `<div\n\tid="a"\n\tid="b"\n>dup</div>`,
+    `<p>a\u0000b</p><x-y a=1 / >`,
+    `<!doctype HTML PUBLIC "a" 'b' x><!DOCTYPE html pub`,
+    `<!--[if IE]><p>ie</p><![endif]--><!--[if !IE]><!--><p>other</p><!--<![endif]-->`,
+    `<table><tr><td>a<td>b</table></i></br>`,
+    `a<div class="x`,
+];
+
+test('lossless mode writes the input back as is', () => {
+    for (const html of samples) assert.equal(serialize(parse(html, { lossless: true })), html);
+});
+
+test('lossless mode writes the input back as is, whatever its chunks', () => {
+    for (const html of samples) for (const size of [1, 2, 3, 7]) {
+        const lexer = createLexer({ lossless: true });
+        for (let i = 0; i < html.length; i += size) lexer.write(html.slice(i, i + size));
+        assert.equal(serialize(lexer.end()), html, `chunks of ${size}`);
+    }
+});
+
+test('edited tags keep the spelling of their untouched attributes', () => {
+    const document = parse(`<div  Class='a b'   id=x data-k = "v" >t &amp; u</div>`, { lossless: true });
+    const [div] = document.children;
+
+    div.attributes.set('id', 'y z');
+    assert.equal(serialize(document), `<div  Class='a b'   id="y z" data-k = "v" >t &amp; u</div>`);
+
+    div.attributes.get('class').add('c');
+    div.attributes.delete('data-k');
+    div.children[0].value = 'new <text>';
+    assert.equal(serialize(document), `<div  Class='a b c'   id="y z" >new &lt;text&gt;</div>`);
+});
+
+test('lossless mode keeps tags cut short by the end of input as text', () => {
+    for (const html of ['a<div class="x', 'a<div', '<p>x</p', '<script>x</script ', '<img src=a /', '<a b=&amp', '<p>t</p x="1"']) {
+        const document = parse(html, { lossless: true, errors: true });
+
+        assert.equal(serialize(document), html);
+        assert.equal(document.errors.at(-1).code, ErrorCode.EOF_IN_TAG, html);
+    }
+});
@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, parseFragment, createLexer, Handler, Tag, Text, Element, Data } from '../lib/index.js';
+
+test('documents are parsed into a tree', () => {
+    const document = parse('<ul><li>a<li>b</ul>');
+    const [ul] = document.children;
+
+    assert.ok(document instanceof Tag);
+    assert.equal(document.type, Element.DOCUMENT);
+    assert.equal(ul.name, 'ul');
+    assert.equal(ul.parent, document);
+    assert.deepEqual(ul.children.map(li => [li.name, li.children[0].value]), [['li', 'a'], ['li', 'b']]);
+});
+
+test('handlers of their own receive the callbacks', () => {
+    const names = [];
+    const handler = new class extends Handler {
+        onStartTag(name, ...rest) {
+            names.push(name);
+            return super.onStartTag(name, ...rest);
+        }
+    }();
+
+    createLexer({}, handler).end('<p><b>x</b></p>');
+    assert.deepEqual(names, ['p', 'b']);
+});
+
+test('fragments are parsed into their top-level nodes', () => {
+    const nodes = parseFragment('a<b>c</b>');
+
+    assert.ok(nodes[0] instanceof Text);
+    assert.equal(nodes[1].name, 'b');
+});
+
+test('fragments start in the content model of their context element', () => {
+    const text = (html, context) => parseFragment(html, { context }).map(({ type, value }) => [type, value]);
+
+    assert.deepEqual(text('<b>x</b>&amp;</textarea>y', 'textarea'), [[Data.TEXT, '<b>x</b>&</textarea>y']]);
+    assert.deepEqual(text('<b>x</b>&amp;</style>', 'style'), [[Data.TEXT, '<b>x</b>&amp;</style>']]);
+    assert.deepEqual(text('a</script><!--x', 'script'), [[Data.TEXT, 'a</script><!--x']]);
+    assert.deepEqual(text('<b>x</b>', 'plaintext'), [[Data.TEXT, '<b>x</b>']]);
+});
+
+test('fragments of foreign roots are foreign content', () => {
+    const [cdata, circle] = parseFragment('<![CDATA[x]]><circle/>y', { context: 'svg' });
+
+    assert.equal(cdata.type, Data.CDATA);
+    assert.deepEqual([circle.name, circle.children.length], ['circle', 0]);
+    assert.equal(parseFragment('<![CDATA[x]]>', { context: 'div' })[0].type, Data.COMMENT);
+});
+
+test('the context element is not closed by the fragment', () => {
+    const nodes = parseFragment('<td>a<td>b</tr>', { context: 'tr' });
+
+    assert.deepEqual(nodes.map(({ name }) => name), ['td', 'td']);
+});
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLexer, parse, serialize, Handler, Status } from '../lib/index.js';
+
+/**
+ * Lexer whose handler calls back on every start tag, with the lexer at hand.
+ *
+ * @param {(lexer: import('../lib/Lexer.js').default, name: string) => any} callback
+ * @param {import('../lib/index.js').Options} [options]
+ * @returns {import('../lib/Lexer.js').default}
+ */
+function controlled(callback, options) {
+    let lexer;
+
+    class Controller extends Handler {
+        onStartTag(name, ...rest) {
+            super.onStartTag(name, ...rest);
+            callback(lexer, name);
+        }
+    }
+
+    return lexer = createLexer(options, new Controller());
+}
+
+test('stopping from a callback ignores the rest of the input', () => {
+    const lexer = controlled((lexer, name) => name === 'title' && lexer.stop());
+
+    assert.equal(lexer.write('<html><head><title>T</title><link rel=canonical>'), Status.STOPPED);
+    assert.equal(lexer.write('<p>x'), Status.STOPPED);
+
+    //: Open elements are closed, with no end of input rules.
+    assert.equal(serialize(lexer.end()), '<html><head><title></title></head></html>');
+});
+
+test('pausing from a callback holds the input until resumed', () => {
+    const names = [];
+    const lexer = controlled((lexer, name) => {
+        names.push(name);
+        if (name === 'b') lexer.pause();
+    });
+
+    assert.equal(lexer.write('<a><b>x</b><i>'), Status.PAUSED);
+    assert.equal(lexer.write('<u>'), Status.PAUSED);
+    assert.deepEqual(names, ['a', 'b']);
+
+    assert.equal(lexer.resume(), Status.RUNNING);
+    assert.deepEqual(names, ['a', 'b', 'i', 'u']);
+    assert.equal(serialize(lexer.end()), '<a><b>x</b><i><u></u></i></a>');
+});
+
+test('resuming from the callback that paused goes on', () => {
+    const lexer = controlled((lexer, name) => {
+        if (name !== 'b') return;
+        lexer.pause();
+        assert.equal(lexer.resume(), Status.RUNNING);
+    });
+
+    assert.equal(lexer.write('<a><b>x</b>y</a>'), Status.RUNNING);
+    assert.equal(serialize(lexer.end()), '<a><b>x</b>y</a>');
+});
+
+test('ending a paused lexer processes the held input', () => {
+    const lexer = controlled((lexer, name) => name === 'b' && lexer.pause());
+
+    lexer.write('<a><b>x</b>y');
+    assert.equal(serialize(lexer.end()), serialize(parse('<a><b>x</b>y')));
+});
+
+test('a paused or stopped lexer is left as is', () => {
+    const lexer = createLexer();
+    assert.equal(lexer.resume(), Status.RUNNING);
+
+    lexer.stop();
+    lexer.pause();
+    assert.equal(lexer.status, Status.STOPPED);
+    assert.equal(lexer.resume(), Status.STOPPED);
+});
+
+test('an abort signal stops the lexer', () => {
+    const controller = new AbortController();
+    const lexer = createLexer({ signal: controller.signal });
+
+    assert.equal(lexer.write('<p>a<b>'), Status.RUNNING);
+    controller.abort();
+    assert.equal(lexer.write('c<i>'), Status.STOPPED);
+    assert.equal(serialize(lexer.end()), '<p>a<b></b></p>');
+});
+
+test('an aborted signal stops the lexer before it starts', () => {
+    const controller = new AbortController();
+    controller.abort();
+    const lexer = createLexer({ signal: controller.signal });
+
+    assert.equal(lexer.status, Status.STOPPED);
+    assert.equal(lexer.write('<p>'), Status.STOPPED);
+    assert.deepEqual(lexer.end().children, []);
+});
@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLexer, parse, ErrorCode } from '../lib/index.js';
+
+test('carriage returns are normalized to line feeds', () => {
+    assert.equal(parse('a\r\nb\rc').children[0].value, 'a\nb\nc');
+    assert.equal(parse('<p title="a\r\nb">').children[0].attributes.get('title'), 'a\nb');
+    assert.equal(parse('<p>a\r\nb', { lossless: true }).children[0].children[0].value, 'a\r\nb');
+});
+
+test('carriage returns split from their line feed across chunks are normalized once', () => {
+    const lexer = createLexer();
+    lexer.write('a\r');
+    lexer.write('\nb');
+
+    assert.equal(lexer.end().children[0].value, 'a\nb');
+});
+
+test('byte order marks are stripped, unless lossless', () => {
+    assert.equal(parse('\uFEFFx').children[0].value, 'x');
+    assert.equal(parse(new Uint8Array([0xEF, 0xBB, 0xBF, 0x78])).children[0].value, 'x');
+    assert.equal(parse('\uFEFFx', { lossless: true }).children[0].value, '\uFEFFx');
+});
+
+test('NULL characters in data are kept as text, with an error', () => {
+    const document = parse('<p>\0</p>', { errors: true });
+
+    assert.deepEqual(document.children[0].children.map(({ value }) => value), ['\0']);
+    assert.deepEqual(document.errors.map(({ code, offset }) => [code, offset]), [[ErrorCode.UNEXPECTED_NULL_CHARACTER, 3]]);
+});
+
+test('NULL characters out of data are replaced, with an error', () => {
+    const document = parse('<p title="a\0b" \0c=1><!--d\0--><textarea>e\0</textarea><script>\0</script>', { errors: true });
+    const [p] = document.children;
+    const [comment, textarea, script] = p.children;
+
+    assert.deepEqual([...p.attributes], [['title', 'a�b'], ['�c', '1']]);
+    assert.equal(comment.value, 'd�');
+    assert.equal(textarea.children[0].value, 'e�');
+    assert.equal(script.children[0].value, '�');
+    assert.deepEqual(document.errors.map(({ code }) => code), Array(5).fill(ErrorCode.UNEXPECTED_NULL_CHARACTER));
+});
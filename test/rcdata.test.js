@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLexer, parse, serialize, ErrorCode } from '../lib/index.js';
+
+/**
+ * Text of the first element of the parsed input.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+function text(html) {
+    return parse(html).children[0].children[0].value;
+}
+
+test('references are decoded in title and textarea', () => {
+    assert.equal(text('<title>A &amp; B &lt;i&gt; &#169; &copy;</title>'), 'A & B <i> © ©');
+    assert.equal(text('<textarea>&lt;/textarea&gt;</textarea>'), '</textarea>');
+});
+
+test('markup is text in title and textarea', () => {
+    assert.equal(text('<title><b>x</b></title>'), '<b>x</b>');
+    assert.equal(text('<textarea><!-- x --></textarea>'), '<!-- x -->');
+});
+
+test('references follow the text rules, not the attribute ones', () => {
+    const document = parse('<title>&copy &notit; &xyz; &</title>', { errors: true });
+
+    assert.equal(document.children[0].children[0].value, '© ¬it; &xyz; &');
+    assert.deepEqual(document.errors.map(({ code, offset }) => [code, offset]), [
+        [ErrorCode.MISSING_SEMICOLON_AFTER_CHARACTER_REFERENCE, 12],
+        [ErrorCode.MISSING_SEMICOLON_AFTER_CHARACTER_REFERENCE, 17],
+        [ErrorCode.UNKNOWN_NAMED_CHARACTER_REFERENCE, 21],
+    ]);
+});
+
+test('script and style content is kept verbatim', () => {
+    assert.equal(text('<script>a &amp;&amp; b</script>'), 'a &amp;&amp; b');
+    assert.equal(text('<style>a::after { content: "&lt;" }</style>'), 'a::after { content: "&lt;" }');
+});
+
+test('references split across chunks are decoded', () => {
+    const lexer = createLexer();
+    for (const chunk of ['<title>a &a', 'm', 'p; b &c', 'opy;</tit', 'le>']) lexer.write(chunk);
+
+    assert.equal(lexer.end().children[0].children[0].value, 'a & b ©');
+});
+
+test('decoded text is escaped back when serialized', () => {
+    assert.equal(serialize(parse('<title>A &amp; B &lt;i&gt;</title>')), '<title>A &amp; B &lt;i&gt;</title>');
+    assert.equal(serialize(parse('<title>A &amp; B</title>', { lossless: true })), '<title>A &amp; B</title>');
+});
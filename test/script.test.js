@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLexer, parse, Data, ErrorCode } from '../lib/index.js';
+
+/**
+ * Script text of the parsed input, and the text following the script.
+ *
+ * @param {string} html
+ * @returns {[string, string | undefined]}
+ */
+function split(html) {
+    const [script, next] = parse(html).children;
+    assert.equal(script.name, 'script');
+    return [script.children[0].value, next?.type === Data.TEXT ? next.value : undefined];
+}
+
+test('a script ends at its first end tag outside comment-like text', () => {
+    assert.deepEqual(split('<script>if (a</b) x = "</scrip";</script>c'), ['if (a</b) x = "</scrip";', 'c']);
+    assert.deepEqual(split('<script>a<!--b--></script>c'), ['a<!--b-->', 'c']);
+    assert.deepEqual(split('<script><!----></script>c'), ['<!---->', 'c']);
+});
+
+test('an end tag still ends an escaped script', () => {
+    assert.deepEqual(split('<script><!-- a </script>b'), ['<!-- a', 'b']);
+});
+
+test('a script start tag in escaped text double escapes it', () => {
+    assert.deepEqual(split('<script><!-- document.write("<script></script>") --></script>x'), ['<!-- document.write("<script></script>") -->', 'x']);
+    assert.deepEqual(split('<script><!-- <script> x </script> y --></script>z'), ['<!-- <script> x </script> y -->', 'z']);
+    assert.deepEqual(split('<script><!--<SCRIPT>a</SCRIPT>b</script>c'), ['<!--<SCRIPT>a</SCRIPT>b', 'c']);
+});
+
+test('the end of a comment-like text leaves the double escape', () => {
+    assert.deepEqual(split('<script><!--<script>--></script>c'), ['<!--<script>-->', 'c']);
+});
+
+test('only a script tag name double escapes', () => {
+    assert.deepEqual(split('<script><!--<scripts>a</script>b'), ['<!--<scripts>a', 'b']);
+    assert.deepEqual(split('<script><!--<scrip>a</script>b'), ['<!--<scrip>a', 'b']);
+});
+
+test('a double escaped script runs to the end of input without its matching end tags', () => {
+    const document = parse('<script><!--<script></script>d', { errors: true });
+
+    assert.equal(document.children[0].children[0].value, '<!--<script></script>d');
+    assert.deepEqual(document.errors.map(({ code, offset }) => [code, offset]), [[ErrorCode.EOF_IN_SCRIPT_HTML_COMMENT_LIKE_TEXT, 30]]);
+});
+
+test('escape states carry across chunks', () => {
+    const html = '<script><!-- document.write("<script></script>") --></script>x';
+
+    for (const size of [1, 2, 3]) {
+        const lexer = createLexer();
+        for (let i = 0; i < html.length; i += size) lexer.write(html.slice(i, i + size));
+
+        const [script, text] = lexer.end().children;
+        assert.equal(script.children[0].value, '<!-- document.write("<script></script>") -->', `chunks of ${size}`);
+        assert.equal(text.value, 'x', `chunks of ${size}`);
+    }
+});
@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLexer, parse, serialize, Handler, SelfClosing, ErrorCode } from '../lib/index.js';
+
+/**
+ * Serialized tree of the parsed input, with its error codes.
+ *
+ * @param {string} html
+ * @param {SelfClosing} [selfClosing]
+ * @returns {[string, string[]]}
+ */
+function parsed(html, selfClosing) {
+    const document = parse(html, { errors: true, selfClosing });
+    return [serialize(document), document.errors.map(({ code }) => code)];
+}
+
+const ignored = [ErrorCode.NON_VOID_HTML_ELEMENT_START_TAG_WITH_TRAILING_SOLIDUS];
+
+test('self-closing syntax is honored on foreign elements by default', () => {
+    assert.deepEqual(parsed('<svg><path/>x</svg>'), ['<svg><path/>x</svg>', []]);
+    assert.deepEqual(parsed('<math><mi/>x</math>'), ['<math><mi/>x</math>', []]);
+    assert.deepEqual(parsed('<br/>x'), ['<br/>x', []]);
+});
+
+test('self-closing syntax is reported and ignored where HTML ignores it', () => {
+    assert.deepEqual(parsed('<div/>x'), ['<div>x</div>', ignored]);
+    assert.deepEqual(parsed('<my-widget/>x'), ['<my-widget>x</my-widget>', ignored]);
+    assert.deepEqual(parsed('<svg><foreignObject><div/>x</foreignObject></svg>')[1], ignored);
+});
+
+test('the custom policy honors it on custom elements too', () => {
+    assert.deepEqual(parsed('<my-widget/>x', SelfClosing.CUSTOM), ['<my-widget/>x', []]);
+    assert.deepEqual(parsed('<div/>x', SelfClosing.CUSTOM), ['<div>x</div>', ignored]);
+    assert.deepEqual(parsed('<svg><path/>x</svg>', SelfClosing.CUSTOM), ['<svg><path/>x</svg>', []]);
+});
+
+test('the all policy honors it on any element', () => {
+    assert.deepEqual(parsed('<div/>x', SelfClosing.ALL), ['<div/>x', []]);
+    assert.deepEqual(parsed('<my-widget/>x', SelfClosing.ALL), ['<my-widget/>x', []]);
+});
+
+test('the self-closing flag reaches the handler, apart from emptiness', () => {
+    const tags = [];
+
+    class Recorder extends Handler {
+        onStartTag(name, attributes, empty, location, source, selfClosing) {
+            tags.push([name, empty, selfClosing]);
+            return super.onStartTag(name, attributes, empty, location, source, selfClosing);
+        }
+    }
+
+    const lexer = createLexer({}, new Recorder());
+    lexer.write('<div/><br/><br><svg><path/></svg>');
+    lexer.end();
+
+    assert.deepEqual(tags, [['div', false, true], ['br', true, true], ['br', true, false], ['svg', false, false], ['path', true, true]]);
+    assert.equal(parse('<div/>').children[0].selfClosing, true);
+});
@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLexer, parse } from '../lib/index.js';
+
+const html = `<!DOCTYPE html><html><head><title>T &amp; x</title><style>a<b{}</style><script>if (a</b) x="</scrip";</script></head>
+<body class="a b" data-x='1 &lt; 2' id=main&amp;x><!-- a - b -- c --><![CDATA[ raw ]]><?xml version="1.0"?>
+<p>One &copy; two&#x41;&#66; &notit; &#128512; café \u{1F600}<p>Two<br/><img src=x.png alt="a>b"> end</p>
+<ul><li>a<li>b</ul><textarea>&lt;</textarea><!--[if IE]><b>ie</b><![endif]--><div>tail</div>x</body></html>`;
+
+/**
+ * Plain copy of a tree, without its parent and sibling links.
+ * 
+ * @param {import('../lib/Handler.js').Node} node 
+ * @returns {object}
+ */
+function dump(node) {
+    const { type, name, value, location, mode, errors } = /** @type {any} */ (node);
+    const attributes = node.attributes && [...node.attributes].map(([key, value]) => [key, value instanceof Set ? [...value] : value]);
+    return { type, name, value, attributes, location, mode, errors: errors?.map(({ code, offset }) => [code, offset]), children: node.children?.map(dump) };
+}
+
+/**
+ * Parse the input written in chunks of the given size.
+ * 
+ * @param {string | Uint8Array} input 
+ * @param {number} size 
+ * @param {import('../lib/index.js').Options} [options = {}]
+ * @returns {object}
+ */
+function chunked(input, size, options = {}) {
+    const lexer = createLexer(options);
+    for (let i = 0; i < input.length; i += size) lexer.write(input.slice(i, i + size));
+    return dump(lexer.end());
+}
+
+test('one-character chunks build the tree of a single chunk', () => {
+    const options = { locations: true, errors: true };
+    const expected = dump(parse(html, options));
+
+    for (const size of [1, 2, 3, 7, 64]) assert.deepEqual(chunked(html, size, options), expected, `chunks of ${size}`);
+});
+
+test('one-byte chunks build the tree of a single chunk', () => {
+    const bytes = new TextEncoder().encode(html);
+    const options = { locations: true, errors: true };
+    const expected = dump(parse(bytes, options));
+
+    for (const size of [1, 2, 5]) assert.deepEqual(chunked(bytes, size, options), expected, `chunks of ${size}`);
+});
+
+test('XML in one-character chunks builds the tree of a single chunk', () => {
+    const xml = '<?xml version="1.0"?><!DOCTYPE r [<!ENTITY e "x">]><r a="&e;&#x41;"><![CDATA[<c>]]><s/>&amp;&e;</r>';
+    const options = { xml: true, locations: true, errors: true };
+
+    assert.deepEqual(chunked(xml, 1, options), dump(parse(xml, options)));
+});
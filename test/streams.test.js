@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { parse, serialize, DocumentStream, EventStream, ErrorCode } from '../lib/index.js';
+import { DocumentWritable, EventTransform } from '../lib/NodeStream.js';
+
+const html = '<!DOCTYPE html><p class=a>One &amp; two<br>three</p>';
+const chunks = [html.slice(0, 9), html.slice(9, 30), html.slice(30)];
+//: The é split across two chunks.
+const bytes = new TextEncoder().encode('<p>café</p>');
+const split = [bytes.subarray(0, 7), bytes.subarray(7)];
+
+test('a document stream settles with the tree of its chunks', async () => {
+    const stream = new DocumentStream();
+    await ReadableStream.from(chunks).pipeTo(stream);
+
+    assert.equal(serialize(await stream.document), serialize(parse(html)));
+});
+
+test('a document stream takes byte chunks', async () => {
+    const stream = new DocumentStream({ encoding: 'utf-8' });
+    await ReadableStream.from(split).pipeTo(stream);
+
+    assert.equal(serialize(await stream.document), '<p>café</p>');
+});
+
+test('an event stream relays the handler callbacks', async () => {
+    const stream = new EventStream();
+    const events = [];
+    await ReadableStream.from(['<p>a', '</p>']).pipeThrough(stream).pipeTo(new WritableStream({ write: event => void events.push(event) }));
+
+    assert.deepEqual(events.map(({ type }) => type), ['mode', 'startTag', 'text', 'endTag']);
+    assert.equal(events[1].args[0], 'p');
+    assert.equal(serialize(await stream.document), '<p>a</p>');
+});
+
+test('a strict document stream fails on the first parse error', async () => {
+    const stream = new DocumentStream({ strict: true });
+
+    await assert.rejects(ReadableStream.from(['<p>', '<a =x>', 'b']).pipeTo(stream), { code: ErrorCode.UNEXPECTED_EQUALS_SIGN_BEFORE_ATTRIBUTE_NAME });
+    await assert.rejects(stream.document, { code: ErrorCode.UNEXPECTED_EQUALS_SIGN_BEFORE_ATTRIBUTE_NAME });
+});
+
+test('a Node.js writable settles with the tree of its chunks', async () => {
+    const stream = new DocumentWritable();
+    await pipeline(Readable.from(chunks), stream);
+    assert.equal(serialize(await stream.document), serialize(parse(html)));
+
+    const buffered = new DocumentWritable({ encoding: 'utf-8' });
+    await pipeline(Readable.from(split.map(chunk => Buffer.from(chunk))), buffered);
+    assert.equal(serialize(await buffered.document), '<p>café</p>');
+});
+
+test('a Node.js transform relays the handler callbacks as objects', async () => {
+    const stream = new EventTransform();
+    const types = [];
+    stream.on('data', ({ type }) => types.push(type));
+    await pipeline(Readable.from(['<b>x</b>']), stream);
+
+    assert.deepEqual(types, ['mode', 'startTag', 'text', 'endTag']);
+    assert.equal(serialize(await stream.document), '<b>x</b>');
+});
+
+test('a strict Node.js writable fails on the first parse error', async () => {
+    const stream = new DocumentWritable({ strict: true });
+
+    await assert.rejects(pipeline(Readable.from(['<a =x>']), stream), { code: ErrorCode.UNEXPECTED_EQUALS_SIGN_BEFORE_ATTRIBUTE_NAME });
+    await assert.rejects(stream.document, { code: ErrorCode.UNEXPECTED_EQUALS_SIGN_BEFORE_ATTRIBUTE_NAME });
+});
+
+test('errors are still reported to onError outside strict mode', async () => {
+    const codes = [];
+    const stream = new DocumentStream({ onError: error => codes.push(error.code) });
+    await ReadableStream.from(['<a =x>', '</b>']).pipeTo(stream);
+
+    assert.deepEqual(codes, [ErrorCode.UNEXPECTED_EQUALS_SIGN_BEFORE_ATTRIBUTE_NAME, ErrorCode.END_TAG_WITHOUT_MATCHING_OPEN_ELEMENT]);
+    assert.equal(serialize(await stream.document), '<a =x=""></a>');
+});
@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, serialize, tokenize, Template, TokenType } from '../lib/index.js';
+
+const templates = [['<?php', '?>'], ['<%', '%>'], ['{{', '}}']];
+
+test('templates are written back with their padding', () => {
+    for (const html of ['<?php echo 1 ?>', '<% x %>', '{{ name }}', '<p>{{name}}</p>']) {
+        assert.equal(serialize(parse(html, { templates })), html);
+    }
+});
+
+test('templates in text are opaque nodes', () => {
+    const [p] = parse('<p>if <% a < b %> end', { templates }).children;
+    const [, template] = p.children;
+
+    assert.ok(template instanceof Template);
+    assert.deepEqual([template.open, template.value, template.close], ['<%', ' a < b ', '%>']);
+    assert.equal(p.children.length, 3);
+});
+
+test('unterminated templates run to the end of input', () => {
+    const [template] = parse('{{ x', { templates }).children;
+
+    assert.deepEqual([template.open, template.value, template.close], ['{{', ' x', '']);
+});
+
+test('templates stay atomic in attribute names and values', () => {
+    const [a] = parse('<a title="{{ a > b }}" data-{{ k }}=1 x={{ v }}>t</a>', { templates }).children;
+
+    assert.deepEqual([...a.attributes], [['title', '{{ a > b }}'], ['data-{{ k }}', '1'], ['x', '{{ v }}']]);
+    assert.deepEqual(a.children.map(({ value }) => value), ['t']);
+});
+
+test('templates are tokens of their own out of tags', () => {
+    const [, template] = tokenize('a{{ b }}<p>', { templates });
+
+    assert.deepEqual(template, { type: TokenType.TEMPLATE, open: '{{', value: ' b ', close: '}}' });
+});
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, tokenizeAsync, TokenType } from '../lib/index.js';
+
+/**
+ * Tokens without their locations, attributes as entry lists.
+ * 
+ * @param {Iterable<import('../lib/Tokenizer.js').Token>} tokens 
+ * @returns {object[]}
+ */
+function plain(tokens) {
+    return [...tokens].map(({ location, ...token }) => token.attributes instanceof Map ? { ...token, attributes: [...token.attributes] } : token);
+}
+
+test('tokens come out in source order', () => {
+    assert.deepEqual(plain(tokenize('<p class=a id="b">x &amp; y<br/></p><!-- c -->')), [
+        { type: TokenType.START_TAG, name: 'p', attributes: [['class', 'a'], ['id', 'b']], selfClosing: false },
+        { type: TokenType.TEXT, value: 'x & y' },
+        { type: TokenType.START_TAG, name: 'br', attributes: [], selfClosing: true },
+        { type: TokenType.END_TAG, name: 'p' },
+        { type: TokenType.COMMENT, value: ' c ' },
+    ]);
+});
+
+test('tokens are taken lazily', () => {
+    const tokens = tokenize('<a>b</a>');
+
+    assert.deepEqual(plain([tokens.next().value]), [{ type: TokenType.START_TAG, name: 'a', attributes: [], selfClosing: false }]);
+    assert.equal([...tokens].length, 2);
+});
+
+test('tokens are located when locations are tracked', () => {
+    const [, text] = tokenize('<p>x\ny', { locations: true });
+
+    assert.deepEqual(text.location, { start: { offset: 3, line: 1, column: 4 }, end: { offset: 6, line: 2, column: 2 } });
+});
+
+test('CDATA sections are tokens in foreign content only, as in the tree', () => {
+    const data = html => plain(tokenize(html)).filter(({ type }) => type === TokenType.CDATA || type === TokenType.COMMENT);
+
+    assert.deepEqual(data('<svg><![CDATA[x]]></svg>'), [{ type: TokenType.CDATA, value: 'x' }]);
+    assert.deepEqual(data('<svg></svg><![CDATA[x]]>'), [{ type: TokenType.COMMENT, value: '[CDATA[x]]' }]);
+    assert.deepEqual(data('<svg/><![CDATA[x]]>'), [{ type: TokenType.COMMENT, value: '[CDATA[x]]' }]);
+    assert.deepEqual(data('<svg><foreignObject><![CDATA[x]]></foreignObject><![CDATA[y]]></svg>'), [
+        { type: TokenType.COMMENT, value: '[CDATA[x]]' },
+        { type: TokenType.CDATA, value: 'y' },
+    ]);
+});
+
+test('chunks are tokenized as they come', async () => {
+    const tokens = [];
+    for await (const token of tokenizeAsync(['<p cl', 'ass=a>x', 'y</p>'])) tokens.push(token);
+
+    assert.deepEqual(plain(tokens), plain(tokenize('<p class=a>xy</p>')));
+});
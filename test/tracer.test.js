@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLexer, parse, serialize, Tracer, Trace } from '../lib/index.js';
+
+const html = `<p class=a>One &amp; two</p><!-- c --><b>x`;
+
+/**
+ * Trace the lexing of the input written in two chunks.
+ *
+ * @param {Tracer} tracer
+ * @returns {import('../lib/Handler.js').Node}
+ */
+function traced(tracer) {
+    const lexer = createLexer({ trace: tracer });
+    lexer.write(html.slice(0, 18));
+    lexer.write(html.slice(18));
+    return lexer.end();
+}
+
+test('the log holds the written chunks, transitions, callbacks and end of input', () => {
+    const tracer = new Tracer();
+    traced(tracer);
+
+    assert.deepEqual(tracer.log.filter(entry => entry.kind === Trace.WRITE).map(entry => entry.chunk), [html.slice(0, 18), html.slice(18)]);
+    assert.equal(tracer.log.at(-1).callback, 'onEnd');
+    assert.ok(tracer.log.findIndex(entry => entry.kind === Trace.END) < tracer.log.findIndex(entry => entry.callback === 'onEnd'));
+    assert.ok(tracer.log.some(entry => entry.kind === Trace.STATE && entry.from === 'PAGE' && entry.to === 'START_TAG_OPEN'));
+
+    //: &a|mp; Indices are input offsets, whatever chunk they were lexed in.
+    const entity = tracer.log.find(entry => entry.callback === 'onTextEntity');
+    assert.deepEqual(entity.args.slice(0, 2), [16, 19]);
+    assert.equal(html.slice(entity.args[0], entity.args[1]), 'amp');
+
+    const comment = tracer.log.find(entry => entry.callback === 'onComment');
+    assert.equal(html.slice(comment.args[0], comment.args[1]), ' c ');
+});
+
+test('a dump parses back to the log', () => {
+    const tracer = new Tracer();
+    traced(tracer);
+
+    assert.equal(tracer.dump().split('\n').length, tracer.log.length);
+    assert.deepEqual(Tracer.parse(tracer.dump()), tracer.log);
+});
+
+test('replaying a log or its dump rebuilds the tree', () => {
+    const tracer = new Tracer();
+    const expected = serialize(traced(tracer));
+
+    assert.equal(expected, serialize(parse(html)));
+    assert.equal(serialize(Tracer.replay(tracer.log, createLexer())), expected);
+    assert.equal(serialize(Tracer.replay(tracer.dump(), createLexer())), expected);
+});
+
+test('replaying a log cut short of the end returns nothing', () => {
+    const tracer = new Tracer();
+    const lexer = createLexer({ trace: tracer });
+    lexer.write(html);
+
+    assert.equal(Tracer.replay(tracer.log, createLexer()), undefined);
+});
+
+test('a sink receives the entries in place of the log', () => {
+    const entries = [];
+    traced(new Tracer(entry => entries.push(entry)));
+
+    const tracer = new Tracer();
+    traced(tracer);
+
+    assert.deepEqual(entries, tracer.log);
+
+    const sunk = new Tracer(() => {});
+    traced(sunk);
+    assert.deepEqual(sunk.log, []);
+});
+
+test('the trace option takes a sink or true alike', () => {
+    const entries = [];
+    createLexer({ trace: entry => entries.push(entry) }).end();
+    assert.deepEqual(entries.map(entry => entry.callback ?? entry.kind), ['onReset', Trace.END, 'onTextEnd', 'onEnd']);
+
+    const lexer = createLexer({ trace: true });
+    lexer.write('<a>');
+    assert.deepEqual(lexer.tracer.log.find(entry => entry.kind === Trace.WRITE), { kind: Trace.WRITE, chunk: '<a>' });
+    assert.equal(createLexer().tracer, null);
+});
@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, serialize, Element, ErrorCode } from '../lib/index.js';
+
+/**
+ * Plain outline of a tree: elements as [name, attributes, children], other nodes as [type, value].
+ *
+ * @param {import('../lib/Handler.js').Node} node
+ * @returns {any[]}
+ */
+function outline(node) {
+    return node.type === Element.TAG ? [node.name, Object.fromEntries(node.attributes), node.children.map(outline)] : [node.type, node.value];
+}
+
+/**
+ * Outline of the parsed input, with its error codes and offsets.
+ *
+ * @param {string} xml
+ * @returns {[any[], [string, number][]]}
+ */
+function parsed(xml) {
+    const document = parse(xml, { xml: true, errors: true });
+    return [document.children.map(outline), document.errors.map(({ code, offset }) => [code, offset])];
+}
+
+test('names keep their case', () => {
+    const [[, rss]] = parsed('<?xml version="1.0"?><rss><Channel><Title viewBox="a">A</Title></Channel></rss>');
+    assert.deepEqual(rss, ['rss', {}, [['Channel', {}, [['Title', { viewBox: 'a' }, [['text', 'A']]]]]]]);
+});
+
+test('any element self-closes, and none is void or implied', () => {
+    assert.deepEqual(parsed('<a><p><div/></p><br>x</br><img src="x"/></a>'), [[
+        ['a', {}, [['p', {}, [['div', {}, []]]], ['br', {}, [['text', 'x']]], ['img', { src: 'x' }, []]]],
+    ], []]);
+
+    assert.deepEqual(parsed('<p>a<p>b')[0], [['p', {}, [['text', 'a'], ['p', {}, [['text', 'b']]]]]]);
+});
+
+test('only the predefined entities are known', () => {
+    assert.deepEqual(parsed('<a>&amp;&lt;&gt;&quot;&apos;&#65;&copy;</a>'), [
+        [['a', {}, [['text', '&<>"\'A&copy;']]]],
+        [[ErrorCode.UNKNOWN_NAMED_CHARACTER_REFERENCE, 33]],
+    ]);
+});
+
+test('internal subset entities are known', () => {
+    const [[, root]] = parsed('<!DOCTYPE r [<!ENTITY me "Me &amp; co">]><r>&me;</r>');
+    assert.deepEqual(root, ['r', {}, [['text', 'Me & co']]]);
+});
+
+test('markup that isn\'t well-formed is reported', () => {
+    assert.deepEqual(parsed('<a>x & y</a>')[1], [[ErrorCode.UNESCAPED_AMPERSAND, 5]]);
+    assert.deepEqual(parsed('<a b></a>')[1], [[ErrorCode.ATTRIBUTE_WITHOUT_VALUE, 3]]);
+    assert.deepEqual(parsed('<a b=c></a>')[1], [[ErrorCode.UNQUOTED_ATTRIBUTE_VALUE, 3]]);
+    assert.deepEqual(parsed('<a><b></a>')[1], [[ErrorCode.MISMATCHED_END_TAG, 6]]);
+    assert.deepEqual(parsed('<a/><b/>')[1], [[ErrorCode.MULTIPLE_ROOT_ELEMENTS, 4]]);
+    assert.deepEqual(parsed('<a>')[1], [[ErrorCode.UNCLOSED_ELEMENT, 3]]);
+    assert.deepEqual(parsed('<a></b>')[1], [[ErrorCode.END_TAG_WITHOUT_MATCHING_OPEN_ELEMENT, 3], [ErrorCode.UNCLOSED_ELEMENT, 7]]);
+});
+
+test('CDATA sections are lexed anywhere', () => {
+    assert.deepEqual(parsed('<r><![CDATA[x<y]]></r>')[0], [['r', {}, [['cdata', 'x<y']]]]);
+});
+
+test('multi-valued attributes are kept as is', () => {
+    assert.equal(parse('<a class="x y"/>', { xml: true }).children[0].attributes.get('class'), 'x y');
+    assert.deepEqual([...parse('<a class="x y">').children[0].attributes.get('class')], ['x', 'y']);
+});
+
+test('XML serializes back self-closed', () => {
+    const xml = '<?xml version="1.0"?><rss><Channel><Title>A &amp; B</Title><link/></Channel></rss>';
+    assert.equal(serialize(parse(xml, { xml: true }), { xml: true }), xml);
+    assert.equal(serialize(parse('<a b=""></a>', { xml: true }), { xml: true }), '<a b=""/>');
+});